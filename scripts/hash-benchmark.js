@@ -0,0 +1,61 @@
+/**
+ * Compares the ConsistentHash strategies: lookup speed, how evenly users spread
+ * over vnodes, and how many users change vnode when the vnode count changes.
+ *
+ * Usage: node scripts/hash-benchmark.js [keys] [vnodeCount] [newVnodeCount]
+ */
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const ConsistentHash = require('../src/common/consistent-hash');
+
+const keyCount = parseInt(process.argv[2] || '100000', 10);
+const vnodeCount = parseInt(process.argv[3] || '1024', 10);
+const newVnodeCount = parseInt(process.argv[4] || String(vnodeCount + vnodeCount / 4), 10);
+
+const userIds = Array.from({ length: keyCount }, (_, i) => `user-${i}`);
+
+// Hash every user, timing the lookups
+function place(hash) {
+  const start = process.hrtime.bigint();
+  const vnodes = userIds.map(userId => hash.getUserVnode(userId));
+  const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+  return { vnodes, elapsedMs };
+}
+
+// Spread of users over vnodes, relative to the mean
+function skew(vnodes, count) {
+  const counts = new Array(count).fill(0);
+  for (const vnodeId of vnodes) {
+    counts[vnodeId]++;
+  }
+
+  const mean = vnodes.length / count;
+  const variance = counts.reduce((sum, n) => sum + (n - mean) ** 2, 0) / count;
+  return {
+    min: Math.min(...counts),
+    max: Math.max(...counts),
+    maxOverMean: Math.max(...counts) / mean,
+    cv: Math.sqrt(variance) / mean
+  };
+}
+
+const rows = ConsistentHash.STRATEGIES.map(strategy => {
+  const before = place(new ConsistentHash(vnodeCount, strategy));
+  const after = place(new ConsistentHash(newVnodeCount, strategy));
+  const moved = before.vnodes.filter((vnodeId, i) => vnodeId !== after.vnodes[i]).length;
+  const spread = skew(before.vnodes, vnodeCount);
+
+  return {
+    strategy,
+    'lookups/s': Math.round(keyCount / (before.elapsedMs / 1000)),
+    'min/vnode': spread.min,
+    'max/vnode': spread.max,
+    'max/mean': spread.maxOverMean.toFixed(3),
+    'stddev/mean': spread.cv.toFixed(3),
+    moved: `${(moved / keyCount * 100).toFixed(1)}%`
+  };
+});
+
+console.log(`${keyCount} keys, ${vnodeCount} -> ${newVnodeCount} vnodes ` +
+  `(ideal movement ${(Math.abs(newVnodeCount - vnodeCount) / Math.max(vnodeCount, newVnodeCount) * 100).toFixed(1)}%)`);
+console.table(rows);
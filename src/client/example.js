@@ -38,7 +38,7 @@ const client = new RegistrationCenterClient({
         break;
       
       case 'status_update':
-        console.log(`User status update: ${data.action}`);
+        console.log(`User status update: ${data.action} (devices: ${data.devices.join(', ')})`);
         break;
       
       case 'pong':
@@ -50,6 +50,10 @@ const client = new RegistrationCenterClient({
     }
   },
   
+  onPresence: (presence) => {
+    console.log(`User ${presence.userId} is ${presence.status}`);
+  },
+  
   onError: (error) => {
     console.error('Client error:', error.message);
     // You might want to show an error notification to the user
@@ -65,9 +69,14 @@ client.connect()
     console.error('Failed to initiate connection:', error);
   });
 
+// Watch the presence of a few friends
+client.subscribe(['u456', 'u789']);
+
 // Example of sending a custom message (after ensuring connection is established)
 setTimeout(() => {
   if (client.getStatus() === 'connected') {
+    client.setPresence('busy', { message: 'In a meeting', expiresIn: 3600 });
+    
     client.send({
       type: 'custom_event',
       data: {
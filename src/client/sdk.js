@@ -10,9 +10,12 @@ class RegistrationCenterClient {
    * @param {string} options.token - JWT token
    * @param {Function} options.onStatusChange - Status change callback
    * @param {Function} options.onMessage - Message callback
+   * @param {Function} options.onPresence - Presence update callback for subscribed users
    * @param {Function} options.onError - Error callback
    * @param {number} options.reconnectInterval - Reconnection interval in ms
    * @param {number} options.heartbeatInterval - Heartbeat interval in ms
+   * @param {number} options.activityThrottle - Minimum interval between activity reports in ms
+   * @param {boolean} options.trackVisibility - Report idleness when the page is hidden
    */
   constructor(options) {
     this.options = {
@@ -20,9 +23,12 @@ class RegistrationCenterClient {
       token: null,
       onStatusChange: () => {},
       onMessage: () => {},
+      onPresence: () => {},
       onError: () => {},
       reconnectInterval: 5000,
       heartbeatInterval: 20000,
+      activityThrottle: 30000,
+      trackVisibility: true,
       ...options
     };
 
@@ -37,6 +43,21 @@ class RegistrationCenterClient {
     this.heartbeatTimer = null;
     this.userId = this._extractUserId();
     this.currentInstance = null;
+    this.subscriptions = new Set();
+    this.migration = null; // { instance, epoch } while moving to another node
+    this.ringEpoch = null; // Ring epoch of the last route, sent so nodes can reject stale routes
+    this.rerouted = false; // Whether we already routed again after a stale route was rejected
+    this.idle = false;
+    this.lastActivityReport = 0;
+    
+    // Treat a hidden page as idle and a visible one as active
+    this._onVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') {
+        this.reportIdle();
+      } else {
+        this.reportActivity();
+      }
+    };
   }
 
   /**
@@ -115,6 +136,10 @@ class RegistrationCenterClient {
         throw new Error('No instance available');
       }
       
+      if (data.epoch !== undefined) {
+        this.ringEpoch = data.epoch;
+      }
+      
       return data.instance;
     } catch (error) {
       this._handleError('Failed to get optimal instance', error);
@@ -164,45 +189,128 @@ class RegistrationCenterClient {
       
       // Get optimal instance from coordinator
       const instance = await this._getOptimalInstance();
-      this.currentInstance = instance;
-      
-      // Form WebSocket URL
-      const wsProtocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-      const wsUrl = `${wsProtocol}//${instance}/socket?token=${encodeURIComponent(this.options.token)}`;
+      this._openSocket(instance);
       
-      // Create WebSocket connection
-      this.ws = new WebSocket(wsUrl);
+    } catch (error) {
+      this._updateStatus('disconnected');
+      this._handleError('Connection failed', error);
+      this._scheduleReconnect();
+    }
+  }
+
+  /**
+   * Opens the WebSocket to a given instance
+   * @private
+   * @param {string} instance - WebSocket instance address (host:port)
+   */
+  _openSocket(instance) {
+    this.currentInstance = instance;
+    
+    // Form WebSocket URL
+    const wsProtocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    let wsUrl = `${wsProtocol}//${instance}/socket?token=${encodeURIComponent(this.options.token)}`;
+    if (this.ringEpoch !== null) {
+      wsUrl += `&epoch=${this.ringEpoch}`;
+    }
+    
+    // Create WebSocket connection
+    this.ws = new WebSocket(wsUrl);
+    
+    // Set up event handlers
+    this.ws.onopen = () => {
+      this._updateStatus('connected');
+      this._startHeartbeat();
+      this.rerouted = false;
       
-      // Set up event handlers
-      this.ws.onopen = () => {
-        this._updateStatus('connected');
-        this._startHeartbeat();
-      };
+      // A new session starts out active on the server
+      this.idle = false;
+      this.lastActivityReport = Date.now();
+      if (this.options.trackVisibility && typeof document !== 'undefined') {
+        document.addEventListener('visibilitychange', this._onVisibilityChange);
+        if (document.visibilityState === 'hidden') {
+          this.reportIdle();
+        }
+      }
       
-      this.ws.onmessage = (event) => {
-        try {
-          const data = JSON.parse(event.data);
-          this.options.onMessage(data);
-        } catch (error) {
-          this._handleError('Error parsing WebSocket message', error);
+      // Restore presence subscriptions after (re)connecting
+      if (this.subscriptions.size > 0) {
+        this.send({ type: 'subscribe', userIds: [...this.subscriptions] });
+      }
+    };
+    
+    this.ws.onmessage = (event) => {
+      try {
+        const data = JSON.parse(event.data);
+        if (data.type === 'presence') {
+          this.options.onPresence(data);
+          return;
         }
-      };
+        if (data.type === 'welcome' && data.epoch !== undefined) {
+          this.ringEpoch = data.epoch;
+        }
+        if (data.type === 'migrate') {
+          // The node gave our vnode away, follow it to the new owner
+          this.migration = { instance: data.instance, epoch: data.epoch };
+          this.ws.close();
+        }
+        this.options.onMessage(data);
+      } catch (error) {
+        this._handleError('Error parsing WebSocket message', error);
+      }
+    };
+    
+    this.ws.onclose = (event) => {
+      this._stopHeartbeat();
+      
+      if (this.migration) {
+        this._migrate();
+        return;
+      }
       
-      this.ws.onclose = (event) => {
-        this._stopHeartbeat();
-        this._updateStatus('disconnected');
-        
-        // Auto reconnect
-        this._scheduleReconnect();
-      };
+      this._updateStatus('disconnected');
       
-      this.ws.onerror = (error) => {
-        this._handleError('WebSocket error', error);
-      };
+      // The ring changed since we were routed, ask the coordinator again
+      // right away, but only once so a lagging coordinator cannot loop us
+      if (RegistrationCenterClient.REROUTE_CLOSE_CODES.includes(event.code) && !this.rerouted) {
+        this.rerouted = true;
+        this.connect();
+        return;
+      }
       
+      // Auto reconnect
+      this._scheduleReconnect();
+    };
+    
+    this.ws.onerror = (error) => {
+      this._handleError('WebSocket error', error);
+    };
+  }
+
+  /**
+   * Reconnects to the instance named in a migrate message, without asking
+   * the coordinator again. Falls back to a normal connect when the old node
+   * did not know the new owner.
+   * @private
+   */
+  _migrate() {
+    const { instance, epoch } = this.migration;
+    this.migration = null;
+    if (epoch !== undefined) {
+      this.ringEpoch = epoch;
+    }
+    
+    if (!instance) {
+      this._updateStatus('disconnected');
+      this.connect();
+      return;
+    }
+    
+    try {
+      this._updateStatus('connecting');
+      this._openSocket(instance);
     } catch (error) {
       this._updateStatus('disconnected');
-      this._handleError('Connection failed', error);
+      this._handleError('Migration failed', error);
       this._scheduleReconnect();
     }
   }
@@ -231,8 +339,14 @@ class RegistrationCenterClient {
       this.reconnectTimer = null;
     }
     
-    // Stop heartbeat
+    // Stop heartbeat and any pending migration
     this._stopHeartbeat();
+    this.migration = null;
+    
+    // Stop activity tracking
+    if (typeof document !== 'undefined') {
+      document.removeEventListener('visibilitychange', this._onVisibilityChange);
+    }
     
     // Close WebSocket if open
     if (this.ws) {
@@ -266,6 +380,75 @@ class RegistrationCenterClient {
     }
   }
 
+  /**
+   * Reports user activity, e.g. from input events. Reports are throttled,
+   * except the first one after the user went idle.
+   */
+  reportActivity() {
+    if (this.status !== 'connected') return;
+    
+    const now = Date.now();
+    if (!this.idle && now - this.lastActivityReport < this.options.activityThrottle) {
+      return;
+    }
+    
+    if (this.send({ type: 'activity', timestamp: now })) {
+      this.idle = false;
+      this.lastActivityReport = now;
+    }
+  }
+
+  /**
+   * Reports that the user is idle, the server shows them as away once
+   * every session of theirs is idle
+   */
+  reportIdle() {
+    if (this.status !== 'connected' || this.idle) return;
+    
+    if (this.send({ type: 'idle', timestamp: Date.now() })) {
+      this.idle = true;
+    }
+  }
+
+  /**
+   * Watches the presence of other users, updates arrive through onPresence
+   * @param {Array<string>} userIds - Users to watch
+   */
+  subscribe(userIds) {
+    const added = userIds.filter(userId => !this.subscriptions.has(userId));
+    added.forEach(userId => this.subscriptions.add(userId));
+    
+    // Subscriptions are sent on connect if the socket is not open yet
+    if (added.length > 0 && this.status === 'connected') {
+      this.send({ type: 'subscribe', userIds: added });
+    }
+  }
+
+  /**
+   * Stops watching the presence of other users
+   * @param {Array<string>} userIds - Users to stop watching
+   */
+  unsubscribe(userIds) {
+    const removed = userIds.filter(userId => this.subscriptions.delete(userId));
+    
+    if (removed.length > 0 && this.status === 'connected') {
+      this.send({ type: 'unsubscribe', userIds: removed });
+    }
+  }
+
+  /**
+   * Sets the user's presence status, shown to everyone watching them
+   * @param {string} status - One of 'online', 'away', 'busy' or 'invisible'
+   * @param {Object} options - Optional custom status settings
+   * @param {string} options.message - Free-text status message
+   * @param {number} options.expiresIn - Seconds until the status reverts to online
+   * @return {boolean} - True if sent, false otherwise
+   */
+  setPresence(status, options = {}) {
+    const { message = null, expiresIn = null } = options;
+    return this.send({ type: 'set_presence', status, message, expiresIn });
+  }
+
   /**
    * Gets the current connection status
    * @return {string} - Connection status
@@ -283,6 +466,12 @@ class RegistrationCenterClient {
   }
 }
 
+// Close codes on which the client routes again through the coordinator:
+// 4001 when it was routed against a stale ring epoch and 4002 when it
+// reached a node that does not own its vnode. Mirrors CloseCodes on the
+// server, which a browser does not load.
+RegistrationCenterClient.REROUTE_CLOSE_CODES = [4001, 4002];
+
 // For CommonJS environments
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = RegistrationCenterClient;
@@ -62,6 +62,20 @@ class Auth {
     next();
   }
 
+  /**
+   * Express middleware that only lets admins through, use after authenticate
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  static authorizeAdmin(req, res, next) {
+    if (!req.user || req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Forbidden - Admin role required' });
+    }
+    
+    next();
+  }
+
   /**
    * Extract userId from a JWT token
    * @param {string} token - The JWT token
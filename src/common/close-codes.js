@@ -0,0 +1,17 @@
+/**
+ * WebSocket close codes sent by WS nodes, taken from the 4000-4999 application range.
+ * The client SDK runs in browsers without this module, so it keeps its own
+ * list of the codes it routes again on (REROUTE_CLOSE_CODES).
+ */
+class CloseCodes {}
+
+// The user's vnode moved to another node, the migrate message says where
+CloseCodes.MIGRATED = 4000;
+
+// The client routed against a ring epoch older than the node's
+CloseCodes.STALE_EPOCH = 4001;
+
+// The user's vnode is not owned by this node
+CloseCodes.WRONG_NODE = 4002;
+
+module.exports = CloseCodes;
@@ -1,4 +1,6 @@
 require('dotenv').config();
+const os = require('os');
+const path = require('path');
 
 module.exports = {
   // Common
@@ -10,11 +12,53 @@ module.exports = {
   // Coordinator Service
   coordinatorPort: parseInt(process.env.COORDINATOR_PORT || '3000', 10),
   vnodeCount: parseInt(process.env.VNODE_COUNT || '1024', 10),
+  hashStrategy: process.env.HASH_STRATEGY || 'md5-mod',
+  presenceBatchLimit: parseInt(process.env.PRESENCE_BATCH_LIMIT || '500', 10),
+  rebalanceMaxMoves: parseInt(process.env.REBALANCE_MAX_MOVES || '16', 10),
+  rebalanceTolerance: parseFloat(process.env.REBALANCE_TOLERANCE || '0.1'),
+  nodeLeaseTtl: parseInt(process.env.NODE_LEASE_TTL || '90', 10),
+  leaseSweepInterval: parseInt(process.env.LEASE_SWEEP_INTERVAL || '15000', 10),
 
   // WebSocket Node
   nodeId: process.env.NODE_ID || 'node-1',
   assignedVnodes: (process.env.ASSIGNED_VNODES || '').split(',').filter(Boolean).map(Number),
   wsPort: parseInt(process.env.WS_PORT || '8080', 10),
+  advertisedAddress: process.env.ADVERTISED_ADDRESS || `localhost:${process.env.WS_PORT || '8080'}`,
+  nodeWeight: parseFloat(process.env.NODE_WEIGHT || '1'),
+  coordinatorUrl: process.env.COORDINATOR_URL || 'http://localhost:3000',
+  coordinatorRetryAttempts: parseInt(process.env.COORDINATOR_RETRY_ATTEMPTS || '5', 10),
+  coordinatorRetryDelay: parseInt(process.env.COORDINATOR_RETRY_DELAY || '2000', 10),
+  eventBus: process.env.EVENT_BUS || 'kafka',
+  eventBusStreamMaxLen: parseInt(process.env.EVENT_BUS_STREAM_MAXLEN || '100000', 10),
   kafkaBrokers: (process.env.KAFKA_BROKERS || 'localhost:9092').split(','),
+  kafkaStatusTopic: process.env.KAFKA_STATUS_TOPIC || 'user_status_events',
+  kafkaPartitions: parseInt(process.env.KAFKA_PARTITIONS || '64', 10),
+  kafkaPresenceStateTopic: process.env.KAFKA_PRESENCE_STATE_TOPIC || 'user_presence_state',
+  presenceStatePartitions: parseInt(process.env.PRESENCE_STATE_PARTITIONS || '16', 10),
+  kafkaInvalidEventsTopic: process.env.KAFKA_INVALID_EVENTS_TOPIC || 'user_status_events_invalid',
+  eventCodec: process.env.EVENT_CODEC || 'json',
+  eventOrderCacheSize: parseInt(process.env.EVENT_ORDER_CACHE_SIZE || '100000', 10),
+  kafkaDeadLetterTopic: process.env.KAFKA_DEAD_LETTER_TOPIC || 'user_status_events_dlq',
+  outboxMaxSize: parseInt(process.env.OUTBOX_MAX_SIZE || '10000', 10),
+  outboxMaxAttempts: parseInt(process.env.OUTBOX_MAX_ATTEMPTS || '10', 10),
+  outboxRetryDelay: parseInt(process.env.OUTBOX_RETRY_DELAY || '500', 10),
+  outboxMaxRetryDelay: parseInt(process.env.OUTBOX_MAX_RETRY_DELAY || '30000', 10),
+  outboxSpillDir: process.env.OUTBOX_SPILL_DIR || path.join(os.tmpdir(), 'status-outbox'),
+  outboxMaxSpillBytes: parseInt(process.env.OUTBOX_MAX_SPILL_BYTES || '1073741824', 10),
+  outboxDrainTimeout: parseInt(process.env.OUTBOX_DRAIN_TIMEOUT || '5000', 10),
+  kafkaReassignDelay: parseInt(process.env.KAFKA_REASSIGN_DELAY || '1000', 10),
   heartbeatInterval: parseInt(process.env.HEARTBEAT_INTERVAL || '30000', 10),
+  presenceTtl: parseInt(process.env.PRESENCE_TTL || '90', 10),
+  presenceOfflineTtl: parseInt(process.env.PRESENCE_OFFLINE_TTL || '604800', 10),
+  maxSubscriptions: parseInt(process.env.MAX_SUBSCRIPTIONS || '1000', 10),
+  statusMessageMaxLength: parseInt(process.env.STATUS_MESSAGE_MAX_LENGTH || '140', 10),
+  statusMaxExpiry: parseInt(process.env.STATUS_MAX_EXPIRY || '604800', 10),
+  idleTimeout: parseInt(process.env.IDLE_TIMEOUT || '300000', 10),
+  idleCheckInterval: parseInt(process.env.IDLE_CHECK_INTERVAL || '15000', 10),
+  wsPingInterval: parseInt(process.env.WS_PING_INTERVAL || '30000', 10),
+  maxMissedPongs: parseInt(process.env.MAX_MISSED_PONGS || '2', 10),
+  migrationDrainWindow: parseInt(process.env.MIGRATION_DRAIN_WINDOW || '30000', 10),
+  migrationCloseTimeout: parseInt(process.env.MIGRATION_CLOSE_TIMEOUT || '5000', 10),
+  migrationReconnectTimeout: parseInt(process.env.MIGRATION_RECONNECT_TIMEOUT || '30000', 10),
+  shutdownCloseTimeout: parseInt(process.env.SHUTDOWN_CLOSE_TIMEOUT || '5000', 10),
 }; 
\ No newline at end of file
@@ -1,14 +1,24 @@
-const crypto = require('crypto');
+const { strategies } = require('./hash-strategies');
 const logger = require('./logger');
 
 /**
  * Implements a Consistent Hash Ring for routing users to vnodes
  */
 class ConsistentHash {
-  constructor(vnodeCount = 1024) {
+  /**
+   * @param {number} vnodeCount - Number of vnodes on the ring
+   * @param {string} strategy - How users are hashed onto vnodes, one of ConsistentHash.STRATEGIES
+   */
+  constructor(vnodeCount = 1024, strategy = 'md5-mod') {
+    if (!strategies[strategy]) {
+      throw new Error(`Unknown hash strategy '${strategy}', expected one of ${ConsistentHash.STRATEGIES.join(', ')}`);
+    }
+
     this.vnodeCount = vnodeCount;
+    this.strategy = strategy;
+    this.hashFn = strategies[strategy];
     this.vnodeMap = {}; // Maps vnode ID to instance ID
-    logger.info(`Initialized ConsistentHash with ${vnodeCount} vnodes`);
+    logger.info(`Initialized ConsistentHash with ${vnodeCount} vnodes using ${strategy}`);
   }
 
   /**
@@ -17,10 +27,7 @@ class ConsistentHash {
    * @return {number} - The vnode ID (0 to vnodeCount-1)
    */
   getUserVnode(userId) {
-    const hash = crypto.createHash('md5').update(userId).digest('hex');
-    // Use first 8 characters of hash (32 bits) as number and mod by vnodeCount
-    const vnodeId = parseInt(hash.substring(0, 8), 16) % this.vnodeCount;
-    return vnodeId;
+    return this.hashFn(userId, this.vnodeCount);
   }
 
   /**
@@ -60,6 +67,40 @@ class ConsistentHash {
     logger.info(`Updated vnode mappings, now tracking ${Object.keys(this.vnodeMap).length} vnodes`);
   }
 
+  /**
+   * Removes vnodes from the mapping
+   * @param {Array<number>} vnodeIds - The vnodes to remove
+   */
+  removeVnodeMappings(vnodeIds) {
+    for (const vnodeId of vnodeIds) {
+      delete this.vnodeMap[vnodeId];
+    }
+    logger.info(`Removed ${vnodeIds.length} vnode mappings, now tracking ${Object.keys(this.vnodeMap).length} vnodes`);
+  }
+
+  /**
+   * Applies an ownership change, where a null owner releases the vnode
+   * @param {Object} assignments - Map of vnodeId to instanceId or null
+   */
+  applyAssignments(assignments) {
+    const owned = {};
+    const released = [];
+    for (const [vnodeId, instanceId] of Object.entries(assignments)) {
+      if (instanceId) {
+        owned[vnodeId] = instanceId;
+      } else {
+        released.push(vnodeId);
+      }
+    }
+
+    if (Object.keys(owned).length > 0) {
+      this.updateVnodeMappings(owned);
+    }
+    if (released.length > 0) {
+      this.removeVnodeMappings(released);
+    }
+  }
+
   /**
    * Checks if a user belongs to a list of vnodes
    * @param {string} userId - The user identifier
@@ -80,4 +121,7 @@ class ConsistentHash {
   }
 }
 
+// Names of the available hash strategies
+ConsistentHash.STRATEGIES = Object.keys(strategies);
+
 module.exports = ConsistentHash; 
\ No newline at end of file
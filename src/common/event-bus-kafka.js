@@ -0,0 +1,175 @@
+const { Kafka } = require('kafkajs');
+const VnodePartitions = require('./vnode-partitions');
+const config = require('./config');
+const logger = require('./logger');
+
+/**
+ * Event bus on Kafka. Topics and partitions map one to one onto Kafka's.
+ */
+class KafkaEventBus {
+  /**
+   * @param {string} clientId - Kafka client id of this process
+   */
+  constructor(clientId) {
+    this.kafka = new Kafka({ clientId, brokers: config.kafkaBrokers });
+    this.producer = this.kafka.producer();
+  }
+
+  /**
+   * Connects the producer
+   */
+  async connect() {
+    await this.producer.connect();
+    logger.info('Connected to Kafka');
+  }
+
+  /**
+   * Disconnects the producer
+   */
+  async disconnect() {
+    await this.producer.disconnect();
+  }
+
+  /**
+   * Creates a topic, or adds partitions to an existing topic that has fewer.
+   * Compacted topics are never grown, that would move keys to other partitions.
+   * @param {string} topic - The topic name
+   * @param {Object} options - { partitions, compacted }
+   */
+  async ensureTopic(topic, { partitions, compacted = false }) {
+    const admin = this.kafka.admin();
+    await admin.connect();
+
+    try {
+      const created = await admin.createTopics({
+        topics: [{
+          topic,
+          numPartitions: partitions,
+          configEntries: compacted ? [{ name: 'cleanup.policy', value: 'compact' }] : []
+        }],
+        waitForLeaders: true
+      });
+      if (created) {
+        logger.info(`Created ${compacted ? 'compacted ' : ''}topic ${topic} with ${partitions} partitions`);
+        return;
+      }
+
+      const { topics } = await admin.fetchTopicMetadata({ topics: [topic] });
+      const existing = topics[0].partitions.length;
+      if (existing < partitions && !compacted) {
+        await admin.createPartitions({ topicPartitions: [{ topic, count: partitions }] });
+        logger.info(`Grew topic ${topic} from ${existing} to ${partitions} partitions`);
+      } else if (existing > partitions && !compacted) {
+        logger.warn(`Topic ${topic} has ${existing} partitions, only the first ${partitions} are used`);
+      } else if (existing !== partitions) {
+        logger.warn(`Compacted topic ${topic} has ${existing} partitions, configured for ${partitions}`);
+      }
+    } finally {
+      await admin.disconnect();
+    }
+  }
+
+  /**
+   * Sends messages to one or more topics in one request
+   * @param {Array<Object>} topicMessages - [{ topic, messages: [{ key, value, partition, headers }] }]
+   */
+  async send(topicMessages) {
+    await this.producer.sendBatch({ topicMessages });
+  }
+
+  /**
+   * Gets the first and next offset of every partition of a topic
+   * @param {string} topic - The topic name
+   * @return {Array<Object>} - [{ partition, low, high }]
+   */
+  async fetchOffsets(topic) {
+    const admin = this.kafka.admin();
+    await admin.connect();
+
+    try {
+      const offsets = await admin.fetchTopicOffsets(topic);
+      return offsets.map(({ partition, low, high }) => ({ partition, low, high }));
+    } finally {
+      await admin.disconnect();
+    }
+  }
+
+  /**
+   * Creates a consumer of one topic
+   * @param {Object} options - { groupId, topic, fromBeginning, partitions, commitOffsets }
+   * @return {KafkaConsumer} - The consumer
+   */
+  consumer(options) {
+    return new KafkaConsumer(this.kafka, options);
+  }
+}
+
+/**
+ * Kafka consumer in a group of its own. When it picks its partitions, it
+ * asks the group for exactly those with the vnode partition assigner.
+ */
+class KafkaConsumer {
+  constructor(kafka, { groupId, topic, fromBeginning = false, partitions = null, commitOffsets = true }) {
+    this.topic = topic;
+    this.fromBeginning = fromBeginning;
+    this.getPartitions = partitions;
+    this.commitOffsets = commitOffsets;
+    this.partitions = [];
+    this.consumer = kafka.consumer({
+      groupId,
+      partitionAssigners: partitions
+        ? [VnodePartitions.createAssigner(() => this.partitions)]
+        : undefined
+    });
+  }
+
+  /**
+   * Starts consuming
+   * @param {Function} handler - async ({ partition, message }) => void
+   */
+  async run(handler) {
+    this.handler = handler;
+    await this.consumer.connect();
+    await this.consumer.subscribe({ topic: this.topic, fromBeginning: this.fromBeginning });
+    await this._run();
+  }
+
+  /**
+   * Re-joins the group with the partitions wanted now
+   */
+  async refresh() {
+    if (!this.getPartitions) return;
+
+    const previous = new Set(this.partitions);
+    await this.consumer.stop();
+    await this._run();
+
+    // A partition consumed before would otherwise replay from its old committed offset
+    for (const partition of this.partitions.filter(partition => !previous.has(partition))) {
+      this.consumer.seek({ topic: this.topic, partition, offset: '-1' });
+    }
+  }
+
+  /**
+   * Stops consuming and leaves the group
+   */
+  async stop() {
+    await this.consumer.disconnect();
+  }
+
+  /**
+   * Runs the consumer with the current partition choice
+   * @private
+   */
+  async _run() {
+    if (this.getPartitions) {
+      this.partitions = this.getPartitions();
+    }
+    await this.consumer.run({
+      autoCommit: this.commitOffsets,
+      eachMessage: ({ partition, message }) => this.handler({ partition, message })
+    });
+  }
+}
+
+module.exports = KafkaEventBus;
@@ -0,0 +1,241 @@
+const EventBus = require('./event-bus');
+const config = require('./config');
+const logger = require('./logger');
+
+// Topics shared by every bus of the process: topic -> { compacted, partitions: [{ messages, nextOffset }] }
+const topics = new Map();
+
+// Running consumers, woken up whenever messages are sent
+const consumers = new Set();
+
+/**
+ * Event bus inside the process, for running a single node in development or
+ * tests without Kafka or Redis. Messages are kept in memory and lost on exit,
+ * each partition keeping its latest EVENT_BUS_STREAM_MAXLEN messages unless
+ * the topic is compacted.
+ */
+class MemoryEventBus {
+  /**
+   * @param {string} clientId - Name of this process
+   */
+  constructor(clientId) {
+    this.clientId = clientId;
+  }
+
+  /**
+   * Nothing to connect to
+   */
+  async connect() {
+    logger.info('Using the in-process event bus', { clientId: this.clientId });
+  }
+
+  /**
+   * Nothing to disconnect from, messages stay for other buses of the process
+   */
+  async disconnect() {}
+
+  /**
+   * Creates a topic, or adds partitions to an existing topic that has fewer.
+   * Compacted topics are never grown, that would move keys to other partitions.
+   * @param {string} topic - The topic name
+   * @param {Object} options - { partitions, compacted }
+   */
+  async ensureTopic(topic, { partitions, compacted = false }) {
+    if (!topics.has(topic)) {
+      topics.set(topic, { compacted, partitions: [] });
+    } else if (compacted) {
+      return;
+    }
+
+    const state = topics.get(topic);
+    while (state.partitions.length < partitions) {
+      state.partitions.push({ messages: [], nextOffset: 0 });
+    }
+  }
+
+  /**
+   * Appends messages to their partitions and wakes up the consumers
+   * @param {Array<Object>} topicMessages - [{ topic, messages: [{ key, value, partition, headers }] }]
+   */
+  async send(topicMessages) {
+    for (const { topic, messages } of topicMessages) {
+      const state = this._topic(topic);
+
+      for (const message of messages) {
+        const partition = message.partition === undefined || message.partition === null
+          ? EventBus.partitionFor(message.key, state.partitions.length)
+          : message.partition;
+        const log = state.partitions[partition];
+        if (!log) {
+          throw EventBus.invalidPartition(topic, partition);
+        }
+
+        const stored = {
+          key: message.key === null || message.key === undefined ? null : Buffer.from(message.key),
+          value: message.value === null || message.value === undefined ? null : Buffer.from(message.value),
+          headers: {},
+          offset: String(log.nextOffset++)
+        };
+        for (const [name, value] of Object.entries(message.headers || {})) {
+          stored.headers[name] = Buffer.from(value);
+        }
+
+        if (state.compacted && stored.key) {
+          const index = log.messages.findIndex(previous => previous.key && previous.key.equals(stored.key));
+          if (index !== -1) {
+            log.messages.splice(index, 1);
+          }
+        }
+        log.messages.push(stored);
+        if (!state.compacted && log.messages.length > config.eventBusStreamMaxLen) {
+          log.messages.splice(0, log.messages.length - config.eventBusStreamMaxLen);
+        }
+      }
+    }
+
+    for (const consumer of consumers) {
+      consumer._wake();
+    }
+  }
+
+  /**
+   * Gets the first and next offset of every partition of a topic
+   * @param {string} topic - The topic name
+   * @return {Array<Object>} - [{ partition, low, high }]
+   */
+  async fetchOffsets(topic) {
+    return this._topic(topic).partitions.map((log, partition) => ({
+      partition,
+      low: log.messages.length > 0 ? log.messages[0].offset : String(log.nextOffset),
+      high: String(log.nextOffset)
+    }));
+  }
+
+  /**
+   * Creates a consumer of one topic
+   * @param {Object} options - { topic, fromBeginning, partitions }
+   * @return {MemoryConsumer} - The consumer
+   */
+  consumer(options) {
+    return new MemoryConsumer(this, options);
+  }
+
+  /**
+   * Gets a topic, creating it with one partition if it was never set up
+   * @private
+   * @param {string} topic - The topic name
+   * @return {Object} - The topic state
+   */
+  _topic(topic) {
+    if (!topics.has(topic)) {
+      topics.set(topic, { compacted: false, partitions: [{ messages: [], nextOffset: 0 }] });
+    }
+    return topics.get(topic);
+  }
+}
+
+/**
+ * Consumer reading the in-memory partitions. Delivery is asynchronous and in
+ * order within each partition.
+ */
+class MemoryConsumer {
+  constructor(bus, { topic, fromBeginning = false, partitions = null }) {
+    this.bus = bus;
+    this.topic = topic;
+    this.fromBeginning = fromBeginning;
+    this.getPartitions = partitions;
+    this.partitions = [];
+    this.positions = new Map(); // partition -> next offset to deliver
+    this.handler = null;
+    this.pending = false;
+    this.draining = false;
+  }
+
+  /**
+   * Starts consuming
+   * @param {Function} handler - async ({ partition, message }) => void
+   */
+  async run(handler) {
+    this.handler = handler;
+    await this._assign(this.fromBeginning);
+    consumers.add(this);
+    this._wake();
+  }
+
+  /**
+   * Switches to the partitions wanted now
+   */
+  async refresh() {
+    await this._assign(false);
+    this._wake();
+  }
+
+  /**
+   * Stops consuming
+   */
+  async stop() {
+    consumers.delete(this);
+    this.handler = null;
+  }
+
+  /**
+   * Picks the partitions to read, keeping the position of those read before
+   * @private
+   * @param {boolean} fromBeginning - Whether new partitions are read from their start
+   */
+  async _assign(fromBeginning) {
+    const logs = this.bus._topic(this.topic).partitions;
+    const { partitions, positions } = await EventBus.assignPositions({
+      positions: this.positions,
+      getPartitions: this.getPartitions,
+      partitionCount: logs.length,
+      start: partition => (fromBeginning ? 0 : logs[partition].nextOffset)
+    });
+    this.partitions = partitions;
+    this.positions = positions;
+  }
+
+  /**
+   * Arranges delivery of new messages
+   * @private
+   */
+  _wake() {
+    this.pending = true;
+    if (this.draining) return;
+
+    this.draining = true;
+    setImmediate(() => this._drain());
+  }
+
+  /**
+   * Delivers messages past each partition's position until none are left
+   * @private
+   */
+  async _drain() {
+    try {
+      while (this.pending && this.handler) {
+        this.pending = false;
+
+        for (const [partition, position] of [...this.positions]) {
+          const log = this.bus._topic(this.topic).partitions[partition];
+          const messages = log.messages.filter(message => Number(message.offset) >= position);
+
+          for (const message of messages) {
+            if (!this.handler || !this.positions.has(partition)) break;
+
+            this.positions.set(partition, Number(message.offset) + 1);
+            try {
+              await this.handler({ partition, message });
+            } catch (error) {
+              logger.error('Error handling in-process event', { topic: this.topic, partition, error: error.message });
+            }
+          }
+        }
+      }
+    } finally {
+      this.draining = false;
+    }
+  }
+}
+
+module.exports = MemoryEventBus;
@@ -0,0 +1,388 @@
+const EventBus = require('./event-bus');
+const redisClient = require('./redis-client');
+const config = require('./config');
+const logger = require('./logger');
+
+// Appends to the stream of a compacted topic and deletes the previous entry
+// with the same key, so the stream keeps only the latest entry of each key.
+// KEYS[1]: stream, KEYS[2]: hash of the latest entry id of each key
+// ARGV: message key, then field/value pairs
+const APPEND_COMPACTED = `
+local id = redis.call('XADD', KEYS[1], '*', unpack(ARGV, 2))
+local previous = redis.call('HGET', KEYS[2], ARGV[1])
+if previous then
+  redis.call('XDEL', KEYS[1], previous)
+end
+redis.call('HSET', KEYS[2], ARGV[1], id)
+return id
+`;
+
+/**
+ * Event bus on Redis Streams, using the shared Redis client. Each partition
+ * of a topic is a stream, trimmed to about EVENT_BUS_STREAM_MAXLEN entries
+ * unless the topic is compacted. Consumers keep their positions in memory,
+ * so a restarted consumer reads from the end of its partitions.
+ */
+class RedisStreamsEventBus {
+  /**
+   * @param {string} clientId - Name of this process
+   */
+  constructor(clientId) {
+    this.clientId = clientId;
+    this.client = redisClient.client;
+    this.topics = new Map(); // topic -> { partitions, compacted }
+
+    if (!this.client.appendCompacted) {
+      this.client.defineCommand('appendCompacted', { numberOfKeys: 2, lua: APPEND_COMPACTED });
+    }
+  }
+
+  /**
+   * Nothing to connect, the shared Redis client is already connected
+   */
+  async connect() {
+    logger.info('Using Redis Streams as the event bus', { clientId: this.clientId });
+  }
+
+  /**
+   * Nothing to disconnect, the shared Redis client is closed with the process
+   */
+  async disconnect() {}
+
+  /**
+   * Records a topic's partition count, or raises it for a topic that has fewer.
+   * Compacted topics are never grown, that would move keys to other partitions.
+   * @param {string} topic - The topic name
+   * @param {Object} options - { partitions, compacted }
+   */
+  async ensureTopic(topic, { partitions, compacted = false }) {
+    const created = await this.client.hsetnx(RedisStreamsEventBus.TOPICS_KEY, topic, JSON.stringify({ partitions, compacted }));
+    if (created) {
+      this.topics.set(topic, { partitions, compacted });
+      logger.info(`Created ${compacted ? 'compacted ' : ''}stream topic ${topic} with ${partitions} partitions`);
+      return;
+    }
+
+    const existing = await this._topic(topic, true);
+    if (existing.partitions < partitions && !existing.compacted) {
+      const grown = { ...existing, partitions };
+      await this.client.hset(RedisStreamsEventBus.TOPICS_KEY, topic, JSON.stringify(grown));
+      this.topics.set(topic, grown);
+      logger.info(`Grew stream topic ${topic} from ${existing.partitions} to ${partitions} partitions`);
+    } else if (existing.partitions !== partitions) {
+      logger.warn(`Stream topic ${topic} has ${existing.partitions} partitions, configured for ${partitions}`);
+    }
+  }
+
+  /**
+   * Appends messages to their partitions' streams in one round trip
+   * @param {Array<Object>} topicMessages - [{ topic, messages: [{ key, value, partition, headers }] }]
+   */
+  async send(topicMessages) {
+    const pipeline = this.client.pipeline();
+
+    for (const { topic, messages } of topicMessages) {
+      const { partitions, compacted } = await this._topic(topic);
+
+      for (const message of messages) {
+        const partition = message.partition === undefined || message.partition === null
+          ? EventBus.partitionFor(message.key, partitions)
+          : message.partition;
+        if (partition >= partitions) {
+          throw EventBus.invalidPartition(topic, partition);
+        }
+
+        const stream = this._streamKey(topic, partition);
+        const fields = this._fields(message);
+        if (compacted && message.key !== null && message.key !== undefined) {
+          pipeline.appendCompacted(stream, this._latestKey(topic, partition), message.key, ...fields);
+        } else {
+          pipeline.xadd(stream, 'MAXLEN', '~', config.eventBusStreamMaxLen, '*', ...fields);
+        }
+      }
+    }
+
+    const results = await pipeline.exec();
+    const failed = results.find(([error]) => error);
+    if (failed) {
+      throw failed[0];
+    }
+  }
+
+  /**
+   * Gets the first and next offset of every partition of a topic
+   * @param {string} topic - The topic name
+   * @return {Array<Object>} - [{ partition, low, high }]
+   */
+  async fetchOffsets(topic) {
+    const { partitions } = await this._topic(topic, true);
+    const pipeline = this.client.pipeline();
+    for (let partition = 0; partition < partitions; partition++) {
+      const stream = this._streamKey(topic, partition);
+      pipeline.xrange(stream, '-', '+', 'COUNT', 1);
+      pipeline.xrevrange(stream, '+', '-', 'COUNT', 1);
+    }
+
+    const results = await pipeline.exec();
+    const failed = results.find(([error]) => error);
+    if (failed) {
+      throw failed[0];
+    }
+
+    const offsets = [];
+    for (let partition = 0; partition < partitions; partition++) {
+      const [, first] = results[partition * 2];
+      const [, last] = results[partition * 2 + 1];
+      if (first.length === 0) {
+        offsets.push({ partition, low: '0', high: '0' });
+      } else {
+        const high = BigInt(RedisStreamsEventBus.toOffset(last[0][0])) + 1n;
+        offsets.push({ partition, low: RedisStreamsEventBus.toOffset(first[0][0]), high: String(high) });
+      }
+    }
+    return offsets;
+  }
+
+  /**
+   * Creates a consumer of one topic
+   * @param {Object} options - { topic, fromBeginning, partitions }
+   * @return {RedisStreamsConsumer} - The consumer
+   */
+  consumer(options) {
+    return new RedisStreamsConsumer(this, options);
+  }
+
+  /**
+   * Converts a stream entry id into an offset. Ids are '<ms>-<seq>', so the
+   * millisecond part is shifted above the sequence to keep them in order.
+   * @param {string|Buffer} id - The stream entry id
+   * @return {string} - The offset
+   */
+  static toOffset(id) {
+    const [ms, seq] = id.toString().split('-');
+    return String((BigInt(ms) << 20n) + BigInt(seq));
+  }
+
+  /**
+   * Gets a topic's settings, cached after the first lookup. Topics that were
+   * never set up have one partition.
+   * @private
+   * @param {string} topic - The topic name
+   * @param {boolean} reload - Whether to skip the cache
+   * @return {Object} - { partitions, compacted }
+   */
+  async _topic(topic, reload = false) {
+    if (reload || !this.topics.has(topic)) {
+      const raw = await this.client.hget(RedisStreamsEventBus.TOPICS_KEY, topic);
+      this.topics.set(topic, raw ? JSON.parse(raw) : { partitions: 1, compacted: false });
+    }
+    return this.topics.get(topic);
+  }
+
+  /**
+   * Gets the id of the last entry of a partition
+   * @private
+   * @param {string} topic - The topic name
+   * @param {number} partition - The partition
+   * @return {string} - The entry id, '0-0' if the stream is empty
+   */
+  async _lastId(topic, partition) {
+    const [last] = await this.client.xrevrange(this._streamKey(topic, partition), '+', '-', 'COUNT', 1);
+    return last ? last[0] : '0-0';
+  }
+
+  /**
+   * Gets the key of a partition's stream
+   * @private
+   * @param {string} topic - The topic name
+   * @param {number} partition - The partition
+   * @return {string} - The Redis key
+   */
+  _streamKey(topic, partition) {
+    return `${RedisStreamsEventBus.STREAM_KEY_PREFIX}${topic}:${partition}`;
+  }
+
+  /**
+   * Gets the key of a compacted partition's latest entry ids
+   * @private
+   * @param {string} topic - The topic name
+   * @param {number} partition - The partition
+   * @return {string} - The Redis key
+   */
+  _latestKey(topic, partition) {
+    return `${RedisStreamsEventBus.LATEST_KEY_PREFIX}${topic}:${partition}`;
+  }
+
+  /**
+   * Converts a message into stream entry fields
+   * @private
+   * @param {Object} message - { key, value, headers }
+   * @return {Array} - Field/value pairs
+   */
+  _fields(message) {
+    const headers = {};
+    for (const [name, value] of Object.entries(message.headers || {})) {
+      headers[name] = value.toString();
+    }
+
+    const fields = ['headers', JSON.stringify(headers)];
+    if (message.key !== null && message.key !== undefined) {
+      fields.push('key', message.key);
+    }
+    // A missing value is a tombstone
+    if (message.value !== null && message.value !== undefined) {
+      fields.push('value', message.value);
+    }
+    return fields;
+  }
+}
+
+/**
+ * Consumer polling the streams of its partitions with blocking reads on a
+ * connection of its own
+ */
+class RedisStreamsConsumer {
+  constructor(bus, { topic, fromBeginning = false, partitions = null }) {
+    this.bus = bus;
+    this.topic = topic;
+    this.fromBeginning = fromBeginning;
+    this.getPartitions = partitions;
+    this.partitions = [];
+    this.positions = new Map(); // partition -> id of the last entry read
+    this.connection = null;
+    this.running = false;
+    this.polling = null;
+  }
+
+  /**
+   * Starts consuming
+   * @param {Function} handler - async ({ partition, message }) => void
+   */
+  async run(handler) {
+    this.handler = handler;
+    this.connection = this.bus.client.duplicate();
+    this.connection.on('error', (err) => {
+      logger.error('Redis stream reader error', { error: err.message });
+    });
+
+    await this._assign(this.fromBeginning);
+    this.running = true;
+    this.polling = this._poll();
+  }
+
+  /**
+   * Switches to the partitions wanted now
+   */
+  async refresh() {
+    await this._assign(false);
+  }
+
+  /**
+   * Stops consuming and closes the reader connection
+   */
+  async stop() {
+    this.running = false;
+    if (this.connection) {
+      // Also ends a blocking read in progress
+      this.connection.disconnect();
+    }
+    await this.polling;
+  }
+
+  /**
+   * Picks the partitions to read, keeping the position of those read before
+   * @private
+   * @param {boolean} fromBeginning - Whether new partitions are read from their start
+   */
+  async _assign(fromBeginning) {
+    const { partitions: partitionCount } = await this.bus._topic(this.topic, true);
+    const { partitions, positions } = await EventBus.assignPositions({
+      positions: this.positions,
+      getPartitions: this.getPartitions,
+      partitionCount,
+      start: partition => (fromBeginning ? '0-0' : this.bus._lastId(this.topic, partition))
+    });
+    this.partitions = partitions;
+    this.positions = positions;
+  }
+
+  /**
+   * Reads new entries of every partition and hands them to the handler
+   * @private
+   */
+  async _poll() {
+    while (this.running) {
+      const partitions = [...this.positions.keys()];
+      if (partitions.length === 0) {
+        await new Promise(resolve => setTimeout(resolve, RedisStreamsConsumer.BLOCK_MS));
+        continue;
+      }
+
+      const streams = partitions.map(partition => this.bus._streamKey(this.topic, partition));
+      let result;
+      try {
+        result = await this.connection.xreadBuffer(
+          'COUNT', RedisStreamsConsumer.BATCH_SIZE,
+          'BLOCK', RedisStreamsConsumer.BLOCK_MS,
+          'STREAMS', ...streams, ...partitions.map(partition => this.positions.get(partition))
+        );
+      } catch (error) {
+        if (!this.running) break;
+        logger.error('Error reading event streams', { topic: this.topic, error: error.message });
+        await new Promise(resolve => setTimeout(resolve, RedisStreamsConsumer.BLOCK_MS));
+        continue;
+      }
+
+      for (const [stream, entries] of result || []) {
+        const partition = partitions[streams.indexOf(stream.toString())];
+
+        for (const [id, fields] of entries) {
+          if (!this.running || !this.positions.has(partition)) break;
+
+          this.positions.set(partition, id.toString());
+          try {
+            await this.handler({ partition, message: this._message(id, fields) });
+          } catch (error) {
+            logger.error('Error handling stream event', { topic: this.topic, partition, error: error.message });
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Converts a stream entry into a message shaped like a Kafka one
+   * @private
+   * @param {Buffer} id - The entry id
+   * @param {Array<Buffer>} fields - Field/value pairs
+   * @return {Object} - { key, value, headers, offset }
+   */
+  _message(id, fields) {
+    const message = { key: null, value: null, headers: {}, offset: RedisStreamsEventBus.toOffset(id) };
+
+    for (let i = 0; i < fields.length; i += 2) {
+      const name = fields[i].toString();
+      if (name === 'key') {
+        message.key = fields[i + 1];
+      } else if (name === 'value') {
+        message.value = fields[i + 1];
+      } else if (name === 'headers') {
+        for (const [header, value] of Object.entries(JSON.parse(fields[i + 1].toString()))) {
+          message.headers[header] = Buffer.from(value);
+        }
+      }
+    }
+    return message;
+  }
+}
+
+// Keys of the stream topics
+RedisStreamsEventBus.TOPICS_KEY = 'streams:topics'; // Hash: topic -> JSON { partitions, compacted }
+RedisStreamsEventBus.STREAM_KEY_PREFIX = 'stream:'; // Stream: topic:partition -> messages
+RedisStreamsEventBus.LATEST_KEY_PREFIX = 'streams:latest:'; // Hash: topic:partition -> { key: latest entry id }
+
+// Entries read per request, and how long a read waits for new ones in ms
+RedisStreamsConsumer.BATCH_SIZE = 100;
+RedisStreamsConsumer.BLOCK_MS = 1000;
+
+module.exports = RedisStreamsEventBus;
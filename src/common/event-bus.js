@@ -0,0 +1,110 @@
+const { murmur3 } = require('./hash-strategies');
+const config = require('./config');
+
+/**
+ * Transport for status events, chosen with EVENT_BUS. Every backend offers:
+ *
+ *   connect(), disconnect()
+ *   ensureTopic(topic, { partitions, compacted })  creates a topic, or grows one that has fewer partitions
+ *   send(topicMessages)  sends [{ topic, messages: [{ key, value, partition, headers }] }] in one request
+ *   fetchOffsets(topic)  [{ partition, low, high }] with the first and next offset of each partition
+ *   consumer(options)    a consumer of one topic
+ *
+ * Consumers take { groupId, topic, fromBeginning, partitions, commitOffsets }, where partitions is a
+ * function returning the partitions to consume, all of them if omitted. They offer:
+ *
+ *   run(handler)  calls handler({ partition, message }) for each message { key, value, headers, offset }
+ *   refresh()     switches to the partitions returned now, newly added ones are read from their end
+ *   stop()
+ *   partitions    the partitions asked for
+ *
+ * Offsets are decimal strings that increase within a partition. Messages of a
+ * compacted topic with the same key replace each other.
+ */
+class EventBus {
+  /**
+   * Creates the configured event bus
+   * @param {string} clientId - Name of this process, used as the Kafka client id
+   * @param {string} backend - Backend name, defaulting to EVENT_BUS
+   * @return {Object} - The event bus
+   */
+  static create(clientId, backend = config.eventBus) {
+    const load = EventBus.BACKENDS[backend];
+    if (!load) {
+      throw new Error(`Unknown event bus: ${backend}`);
+    }
+
+    const Backend = load();
+    return new Backend(clientId);
+  }
+
+  /**
+   * Picks the partition of a message sent without one, by hashing its key.
+   * Keyless messages go to a random partition.
+   * @param {Buffer|string|null} key - The message key
+   * @param {number} partitionCount - Number of partitions of the topic
+   * @return {number} - The partition
+   */
+  static partitionFor(key, partitionCount) {
+    if (key === null || key === undefined) {
+      return Math.floor(Math.random() * partitionCount);
+    }
+    return murmur3(key.toString()) % partitionCount;
+  }
+
+  /**
+   * Picks what a consumer reads after its partitions changed. Partitions
+   * read before keep their position, new ones start where start() says.
+   * @param {Object} options - { positions, getPartitions, partitionCount, start }, where positions maps
+   *   each partition read so far to its position, getPartitions is the consumer's partitions option
+   *   and start is async (partition) => position to read a new partition from
+   * @return {Object} - { partitions, positions } with the partitions asked for and the positions of
+   *   those the topic has
+   */
+  static async assignPositions({ positions, getPartitions, partitionCount, start }) {
+    const partitions = getPartitions
+      ? getPartitions()
+      : Array.from({ length: partitionCount }, (_, partition) => partition);
+
+    // Look up new partitions first, the consumer may keep moving the others meanwhile
+    const starts = new Map();
+    for (const partition of partitions) {
+      if (partition >= partitionCount || positions.has(partition)) continue;
+      starts.set(partition, await start(partition));
+    }
+
+    const assigned = new Map();
+    for (const partition of partitions) {
+      if (positions.has(partition)) {
+        assigned.set(partition, positions.get(partition));
+      } else if (starts.has(partition)) {
+        assigned.set(partition, starts.get(partition));
+      }
+    }
+    return { partitions, positions: assigned };
+  }
+
+  /**
+   * Builds the error for a message sent to a partition its topic does not
+   * have. Like a Kafka rejection it is not retriable, so the outbox sets the
+   * message aside instead of retrying it for good.
+   * @param {string} topic - The topic name
+   * @param {number} partition - The partition asked for
+   * @return {Error} - The error, with type INVALID_PARTITION
+   */
+  static invalidPartition(topic, partition) {
+    const error = new Error(`Topic ${topic} has no partition ${partition}`);
+    error.type = 'INVALID_PARTITION';
+    error.retriable = false;
+    return error;
+  }
+}
+
+// Backends by EVENT_BUS name, loaded on first use so only the chosen client is set up
+EventBus.BACKENDS = {
+  kafka: () => require('./event-bus-kafka'),
+  redis: () => require('./event-bus-redis'),
+  memory: () => require('./event-bus-memory')
+};
+
+module.exports = EventBus;
@@ -0,0 +1,306 @@
+/**
+ * Wire formats for status events. Every codec turns an event object into a
+ * Buffer and back; validation is left to StatusEvent.
+ *
+ * The binary codecs are written against the fixed schemas below, so they need
+ * no schema registry or generated code:
+ *
+ *   message StatusEvent {            // Protobuf (proto3)
+ *     uint32 version = 1;
+ *     string event_id = 2;
+ *     string type = 3;
+ *     string user_id = 4;
+ *     string session_id = 5;
+ *     string node_id = 6;
+ *     int64 timestamp = 7;
+ *     string reason = 8;
+ *     repeated string devices = 9;
+ *     string device_type = 10;
+ *     string status_message = 11;
+ *     int64 status_expires_at = 12;
+ *     int64 generation = 13;         // since version 2
+ *     int64 sequence = 14;           // since version 2
+ *   }
+ *
+ *   Avro: the record in AVRO_SCHEMA, encoded without a container or header.
+ *   Fields added in a later version are ["null", type] unions defaulting to
+ *   null, written for every event and null in events of older versions.
+ *   Records written before they were always written end without them.
+ */
+
+// Event fields in schema order with their wire types
+const FIELDS = [
+  { name: 'version', number: 1, type: 'int' },
+  { name: 'eventId', number: 2, type: 'string' },
+  { name: 'type', number: 3, type: 'string' },
+  { name: 'userId', number: 4, type: 'string' },
+  { name: 'sessionId', number: 5, type: 'string', nullable: true },
+  { name: 'nodeId', number: 6, type: 'string' },
+  { name: 'timestamp', number: 7, type: 'long' },
+  { name: 'reason', number: 8, type: 'string', nullable: true },
+  { name: 'devices', number: 9, type: 'array' },
+  { name: 'deviceType', number: 10, type: 'string', nullable: true },
+  { name: 'statusMessage', number: 11, type: 'string', nullable: true },
+  { name: 'statusExpiresAt', number: 12, type: 'long', nullable: true },
+  { name: 'generation', number: 13, type: 'long', since: 2 },
+  { name: 'sequence', number: 14, type: 'long', since: 2 }
+];
+
+/**
+ * Gets the fields an event version carries
+ * @param {number} version - The event version
+ * @return {Array<Object>} - The fields in schema order
+ */
+function fieldsOf(version) {
+  return FIELDS.filter(field => !field.since || field.since <= version);
+}
+
+const AVRO_TYPES = { int: 'int', long: 'long', string: 'string', array: { type: 'array', items: 'string' } };
+
+/**
+ * Checks whether a field is a union with null in Avro, which fields added in
+ * a later version are so that readers can default them
+ * @param {Object} field - The field
+ * @return {boolean} - True for a ["null", type] union
+ */
+function isAvroNullable(field) {
+  return Boolean(field.nullable || field.since);
+}
+
+const AVRO_SCHEMA = {
+  type: 'record',
+  name: 'StatusEvent',
+  namespace: 'registrationcenter',
+  fields: FIELDS.map((field) => {
+    const type = isAvroNullable(field) ? ['null', AVRO_TYPES[field.type]] : AVRO_TYPES[field.type];
+    return field.since ? { name: field.name, type, default: null } : { name: field.name, type };
+  })
+};
+
+/**
+ * Appends an unsigned varint, for values up to 2^53
+ * @param {Array<number>} bytes - Output bytes
+ * @param {number} value - Non-negative integer
+ */
+function writeVarint(bytes, value) {
+  while (value >= 0x80) {
+    bytes.push((value % 0x80) | 0x80);
+    value = Math.floor(value / 0x80);
+  }
+  bytes.push(value);
+}
+
+/**
+ * Reads an unsigned varint
+ * @param {Buffer} buffer - Input
+ * @param {Object} cursor - { offset }, advanced past the varint
+ * @return {number} - The value
+ */
+function readVarint(buffer, cursor) {
+  let value = 0;
+  let scale = 1;
+  for (;;) {
+    if (cursor.offset >= buffer.length) {
+      throw new Error('Truncated varint');
+    }
+    const byte = buffer[cursor.offset++];
+    value += (byte & 0x7f) * scale;
+    if (byte < 0x80) return value;
+    scale *= 0x80;
+  }
+}
+
+/**
+ * Appends a length-prefixed UTF-8 string as Protobuf and Avro both lay it out,
+ * the length written by the given function
+ * @param {Array<number>} bytes - Output bytes
+ * @param {string} value - The string
+ * @param {Function} writeLength - Writes the byte length
+ */
+function writeString(bytes, value, writeLength) {
+  const encoded = Buffer.from(String(value), 'utf8');
+  writeLength(bytes, encoded.length);
+  for (const byte of encoded) bytes.push(byte);
+}
+
+/**
+ * Reads a UTF-8 string of a given byte length
+ * @param {Buffer} buffer - Input
+ * @param {Object} cursor - { offset }, advanced past the string
+ * @param {number} length - Byte length
+ * @return {string} - The string
+ */
+function readString(buffer, cursor, length) {
+  if (cursor.offset + length > buffer.length) {
+    throw new Error('Truncated string');
+  }
+  const value = buffer.toString('utf8', cursor.offset, cursor.offset + length);
+  cursor.offset += length;
+  return value;
+}
+
+const json = {
+  encode: event => Buffer.from(JSON.stringify(event), 'utf8'),
+  decode: buffer => JSON.parse(buffer.toString('utf8'))
+};
+
+const protobuf = {
+  encode(event) {
+    const bytes = [];
+    for (const field of FIELDS) {
+      const value = event[field.name];
+      if (value === null || value === undefined) continue;
+
+      if (field.type === 'array') {
+        for (const item of value) {
+          writeVarint(bytes, (field.number << 3) | 2);
+          writeString(bytes, item, writeVarint);
+        }
+      } else if (field.type === 'string') {
+        writeVarint(bytes, (field.number << 3) | 2);
+        writeString(bytes, value, writeVarint);
+      } else {
+        writeVarint(bytes, field.number << 3);
+        writeVarint(bytes, value);
+      }
+    }
+    return Buffer.from(bytes);
+  },
+
+  decode(buffer) {
+    const event = {};
+    for (const field of FIELDS) {
+      event[field.name] = field.type === 'array' ? [] : null;
+    }
+
+    const byNumber = new Map(FIELDS.map(field => [field.number, field]));
+    const cursor = { offset: 0 };
+    while (cursor.offset < buffer.length) {
+      const tag = readVarint(buffer, cursor);
+      const wireType = tag & 7;
+      const field = byNumber.get(Math.floor(tag / 8));
+
+      if (wireType === 0) {
+        const value = readVarint(buffer, cursor);
+        if (field) event[field.name] = value;
+      } else if (wireType === 2) {
+        const value = readString(buffer, cursor, readVarint(buffer, cursor));
+        if (field && field.type === 'array') {
+          event[field.name].push(value);
+        } else if (field) {
+          event[field.name] = value;
+        }
+      } else if (wireType === 1 || wireType === 5) {
+        // Fixed-width fields are not in the schema, skip them
+        cursor.offset += wireType === 1 ? 8 : 4;
+      } else {
+        throw new Error(`Unsupported wire type ${wireType}`);
+      }
+    }
+    if (cursor.offset > buffer.length) {
+      throw new Error('Truncated message');
+    }
+
+    // proto3 omits zero values of the numeric fields that are never null
+    if (event.version === null) event.version = 0;
+    for (const field of fieldsOf(event.version)) {
+      if (field.since && event[field.name] === null) event[field.name] = 0;
+    }
+    return event;
+  }
+};
+
+/**
+ * Appends a zigzag-encoded Avro int or long
+ * @param {Array<number>} bytes - Output bytes
+ * @param {number} value - Integer within +/-2^52
+ */
+function writeAvroLong(bytes, value) {
+  writeVarint(bytes, value >= 0 ? value * 2 : -value * 2 - 1);
+}
+
+/**
+ * Reads a zigzag-encoded Avro int or long
+ * @param {Buffer} buffer - Input
+ * @param {Object} cursor - { offset }, advanced past the value
+ * @return {number} - The value
+ */
+function readAvroLong(buffer, cursor) {
+  const zigzag = readVarint(buffer, cursor);
+  return zigzag % 2 === 0 ? zigzag / 2 : -(zigzag + 1) / 2;
+}
+
+const avro = {
+  schema: AVRO_SCHEMA,
+
+  encode(event) {
+    const bytes = [];
+    for (const field of FIELDS) {
+      const value = field.since && field.since > event.version ? null : event[field.name];
+      if (isAvroNullable(field)) {
+        if (value === null || value === undefined) {
+          writeAvroLong(bytes, 0);
+          continue;
+        }
+        writeAvroLong(bytes, 1);
+      }
+
+      if (field.type === 'array') {
+        if (value.length > 0) {
+          writeAvroLong(bytes, value.length);
+          value.forEach(item => writeString(bytes, item, writeAvroLong));
+        }
+        writeAvroLong(bytes, 0);
+      } else if (field.type === 'string') {
+        writeString(bytes, value, writeAvroLong);
+      } else {
+        writeAvroLong(bytes, value);
+      }
+    }
+    return Buffer.from(bytes);
+  },
+
+  decode(buffer) {
+    const event = {};
+    const cursor = { offset: 0 };
+    for (const field of FIELDS) {
+      if (field.since && field.since > event.version && cursor.offset === buffer.length) {
+        event[field.name] = null;
+        continue;
+      }
+      if (isAvroNullable(field) && readAvroLong(buffer, cursor) === 0) {
+        event[field.name] = null;
+        continue;
+      }
+
+      if (field.type === 'array') {
+        const items = [];
+        for (let count = readAvroLong(buffer, cursor); count !== 0; count = readAvroLong(buffer, cursor)) {
+          // A negative count is followed by the block's size in bytes
+          if (count < 0) {
+            readAvroLong(buffer, cursor);
+            count = -count;
+          }
+          for (let i = 0; i < count; i++) {
+            items.push(readString(buffer, cursor, readAvroLong(buffer, cursor)));
+          }
+        }
+        event[field.name] = items;
+      } else if (field.type === 'string') {
+        event[field.name] = readString(buffer, cursor, readAvroLong(buffer, cursor));
+      } else {
+        event[field.name] = readAvroLong(buffer, cursor);
+      }
+    }
+    if (cursor.offset !== buffer.length) {
+      throw new Error('Trailing bytes after record');
+    }
+    return event;
+  }
+};
+
+module.exports = {
+  json,
+  protobuf,
+  avro
+};
@@ -0,0 +1,49 @@
+const StatusEvent = require('./status-event');
+const config = require('./config');
+
+/**
+ * Latest (generation, sequence) seen for each user, so that events arriving
+ * late or twice are told apart from new ones. The least recently updated
+ * users are forgotten once the cache is full.
+ */
+class EventOrder {
+  /**
+   * @param {number} maxSize - Users remembered, defaulting to EVENT_ORDER_CACHE_SIZE
+   */
+  constructor(maxSize = config.eventOrderCacheSize) {
+    this.maxSize = maxSize;
+    this.latest = new Map(); // userId -> { generation, sequence }, oldest first
+  }
+
+  /**
+   * Remembers an event as its user's latest, unless a newer or the same one was seen
+   * @param {Object} event - The status event
+   * @return {boolean} - False if the event is stale or a duplicate
+   */
+  record(event) {
+    if (!StatusEvent.isOrdered(event)) return true;
+
+    const latest = this.latest.get(event.userId);
+    if (latest && StatusEvent.compare(event, latest) <= 0) return false;
+
+    this.latest.delete(event.userId);
+    this.latest.set(event.userId, { generation: event.generation, sequence: event.sequence });
+    if (this.latest.size > this.maxSize) {
+      this.latest.delete(this.latest.keys().next().value);
+    }
+    return true;
+  }
+
+  /**
+   * Remembers a user's state if nothing is known about the user yet and there is room
+   * @param {string} userId - The user identifier
+   * @param {Object} state - { generation, sequence }
+   */
+  seed(userId, { generation, sequence }) {
+    if (generation > 0 && !this.latest.has(userId) && this.latest.size < this.maxSize) {
+      this.latest.set(userId, { generation, sequence });
+    }
+  }
+}
+
+module.exports = EventOrder;
@@ -0,0 +1,475 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger');
+
+/**
+ * Local outbox for produced messages. Messages are queued in order and sent
+ * in the background, so a broker outage delays them instead of failing the
+ * caller. Failed sends are retried with exponential backoff for as long as the
+ * outage lasts. Only a message the broker rejects for itself, like one that
+ * is too large, is moved to the dead-letter topic after its attempts run out.
+ * Once the in-memory queue is full, messages spill to a file and are read
+ * back in order as the queue empties. Messages are only dropped once the
+ * spill file is full as well.
+ */
+class EventOutbox {
+  /**
+   * @param {Function} send - async (topicMessages) => void, sends [{ topic, messages }] in one request
+   * @param {Object} options - Outbox settings, defaulting to the OUTBOX_* config
+   * @param {string} options.name - Name used in logs and for the spill file
+   * @param {string} options.deadLetterTopic - Topic for messages out of attempts
+   * @param {number} options.maxSize - Messages kept in memory
+   * @param {number} options.maxAttempts - Attempts of a rejected message before it is dead-lettered
+   * @param {number} options.retryDelay - Delay before the first retry in ms, doubled on every failure
+   * @param {number} options.maxRetryDelay - Upper bound of the retry delay in ms
+   * @param {number} options.batchSize - Messages sent per request
+   * @param {string} options.spillDir - Directory for the spill file
+   * @param {number} options.maxSpillBytes - Size of spilled messages not yet read back, beyond which new ones are dropped
+   */
+  constructor(send, options = {}) {
+    this.send = send;
+    this.name = options.name || 'outbox';
+    this.deadLetterTopic = options.deadLetterTopic || config.kafkaDeadLetterTopic;
+    this.maxSize = options.maxSize || config.outboxMaxSize;
+    this.maxAttempts = options.maxAttempts || config.outboxMaxAttempts;
+    this.retryDelay = options.retryDelay || config.outboxRetryDelay;
+    this.maxRetryDelay = options.maxRetryDelay || config.outboxMaxRetryDelay;
+    this.batchSize = options.batchSize || 100;
+
+    this.spillDir = options.spillDir || config.outboxSpillDir;
+    this.spillFile = path.join(this.spillDir, `${this.name}.jsonl`);
+    this.maxSpillBytes = options.maxSpillBytes || config.outboxMaxSpillBytes;
+
+    this.queue = []; // { topic, message, attempts }
+    this.spilled = 0;
+    this.spillSize = 0; // Bytes in the spill file
+    this.spillOffset = 0; // Bytes of the spill file already read back
+    this.spillFull = false;
+    this.failures = 0;
+    this.timer = null;
+    this.flushing = false;
+    this.isolating = 0; // Entries still to send one at a time to find a rejected one
+    this.stats = { sent: 0, failedAttempts: 0, deadLettered: 0, spilledTotal: 0, rejected: 0, dropped: 0 };
+  }
+
+  /**
+   * Picks up messages spilled by a previous run and starts sending
+   */
+  start() {
+    fs.mkdirSync(this.spillDir, { recursive: true });
+    if (fs.existsSync(this.spillFile)) {
+      this.spillSize = fs.statSync(this.spillFile).size;
+      this.spilled = this._countSpill();
+      if (this.spilled > 0) {
+        logger.info(`Outbox ${this.name} resuming ${this.spilled} spilled messages`);
+      }
+    }
+    this._schedule(0);
+  }
+
+  /**
+   * Queues a message for sending
+   * @param {string} topic - Destination topic
+   * @param {Object} message - The message (key, value, partition, headers)
+   */
+  enqueue(topic, message) {
+    const entry = { topic, message, attempts: 0 };
+
+    // Once anything is spilled, newer messages go behind it to keep the order
+    if (this.spilled > 0 || this.queue.length >= this.maxSize) {
+      try {
+        if (!this._spill([entry])) return;
+      } catch (error) {
+        // Holding the message in memory beats losing it
+        logger.error(`Outbox ${this.name} could not spill, keeping the message in memory`, {
+          spillFile: this.spillFile,
+          error: error.message
+        });
+        this.queue.push(entry);
+      }
+    } else {
+      this.queue.push(entry);
+    }
+
+    this._schedule(0);
+  }
+
+  /**
+   * Gets the number of messages waiting to be sent
+   * @return {number} - Queued plus spilled messages
+   */
+  size() {
+    return this.queue.length + this.spilled;
+  }
+
+  /**
+   * Gets counters for monitoring
+   * @return {Object} - Queue sizes, retry state and totals since startup
+   */
+  getStats() {
+    return {
+      queued: this.queue.length,
+      spilled: this.spilled,
+      failures: this.failures,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Waits for the outbox to empty, then stops it. Messages still queued are
+   * written to the spill file to be sent on the next start.
+   * @param {number} timeout - Maximum wait in ms
+   * @return {boolean} - True if everything was sent
+   */
+  async close(timeout = config.outboxDrainTimeout) {
+    const deadline = Date.now() + timeout;
+    while (this.size() > 0 && Date.now() < deadline) {
+      if (!this.flushing) {
+        // Skip any backoff, there is no time left to wait for it
+        clearTimeout(this.timer);
+        this.timer = null;
+        this._flush();
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.size() === 0) return true;
+
+    if (this.queue.length > 0) {
+      // Queued messages are older than the spilled ones, so they go first
+      const queued = this.queue.map(entry => `${JSON.stringify(this._serialize(entry))}\n`).join('');
+      this._compactSpill(queued);
+      this.spilled += this.queue.length;
+      this.stats.spilledTotal += this.queue.length;
+      this.queue = [];
+    }
+
+    logger.warn(`Outbox ${this.name} closed with ${this.spilled} messages spilled to ${this.spillFile}`);
+    return false;
+  }
+
+  /**
+   * Arranges a flush after a delay, unless one is pending or running
+   * @private
+   * @param {number} delay - Delay in ms
+   */
+  _schedule(delay) {
+    if (this.timer || this.flushing) return;
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this._flush();
+    }, delay);
+  }
+
+  /**
+   * Sends queued messages in order until the queue is empty or a send fails
+   * @private
+   */
+  async _flush() {
+    this.flushing = true;
+    let retryIn = null;
+
+    try {
+      for (;;) {
+        if (this.queue.length === 0 && this.spilled > 0) {
+          this._unspill();
+        }
+        if (this.queue.length === 0) break;
+
+        // Messages keep their order within each topic of the batch
+        const batch = this.queue.slice(0, this.isolating > 0 ? 1 : this.batchSize);
+        const count = batch.length;
+        const byTopic = new Map();
+        for (const { topic, message } of batch) {
+          if (!byTopic.has(topic)) {
+            byTopic.set(topic, []);
+          }
+          byTopic.get(topic).push(message);
+        }
+
+        try {
+          await this.send([...byTopic].map(([topic, messages]) => ({ topic, messages })));
+        } catch (error) {
+          this._recordFailure(batch, error);
+          retryIn = Math.min(this.maxRetryDelay, this.retryDelay * 2 ** (this.failures - 1));
+          break;
+        }
+
+        this.queue.splice(0, count);
+        this.isolating = Math.max(0, this.isolating - count);
+        this.failures = 0;
+        this.stats.sent += count;
+      }
+    } finally {
+      this.flushing = false;
+    }
+
+    if (retryIn !== null) {
+      this._schedule(retryIn);
+    } else if (this.size() > 0) {
+      // Messages queued while the last batch was in flight
+      this._schedule(0);
+    }
+  }
+
+  /**
+   * Checks whether a send failed because of the messages themselves, so that
+   * no retry can fix it. Outages, timeouts and unknown errors are retried.
+   * @param {Error} error - The send error
+   * @return {boolean} - True if the broker rejected the messages
+   */
+  static isRejection(error) {
+    // Producers wrap the error of their last retry
+    let cause = error;
+    while (cause.cause) {
+      cause = cause.cause;
+    }
+    return cause.retriable === false && EventOutbox.REJECTION_TYPES.includes(cause.type);
+  }
+
+  /**
+   * Counts a failed attempt. A rejected batch is retried one message at a
+   * time, and a rejected message out of attempts goes to the dead-letter topic.
+   * @private
+   * @param {Array<Object>} batch - Entries that failed
+   * @param {Error} error - The send error
+   */
+  _recordFailure(batch, error) {
+    this.failures++;
+    this.stats.failedAttempts++;
+
+    if (!EventOutbox.isRejection(error)) {
+      logger.warn(`Outbox ${this.name} failed to send ${batch.length} messages, retrying`, {
+        error: error.message,
+        attempt: this.failures,
+        queued: this.size()
+      });
+      return;
+    }
+
+    if (batch.length > 1) {
+      this.isolating = batch.length;
+      logger.warn(`Outbox ${this.name} had ${batch.length} messages rejected, retrying them one by one`, {
+        error: error.message
+      });
+      return;
+    }
+
+    const [entry] = batch;
+    entry.attempts++;
+    logger.warn(`Outbox ${this.name} had a message rejected`, {
+      topic: entry.topic,
+      error: error.message,
+      attempts: entry.attempts
+    });
+    if (entry.attempts < this.maxAttempts) return;
+
+    // Nothing takes the message, not even the dead-letter topic
+    if (entry.topic === this.deadLetterTopic) {
+      this.queue.shift();
+      this.isolating = Math.max(0, this.isolating - 1);
+      this.stats.rejected++;
+      logger.error(`Outbox ${this.name} discarded a message the dead-letter topic rejected`, {
+        sourceTopic: entry.message.headers['source-topic'],
+        key: entry.message.key ? entry.message.key.toString() : null,
+        error: error.message
+      });
+      return;
+    }
+
+    entry.message = {
+      key: entry.message.key,
+      value: entry.message.value,
+      headers: {
+        ...entry.message.headers,
+        'dlq-reason': error.message,
+        'dlq-attempts': String(entry.attempts),
+        'source-topic': entry.topic
+      }
+    };
+    entry.topic = this.deadLetterTopic;
+    entry.attempts = 0;
+    this.stats.deadLettered++;
+  }
+
+  /**
+   * Appends entries to the spill file, unless that would make the part not
+   * yet read back larger than maxSpillBytes
+   * @private
+   * @param {Array<Object>} entries - The entries
+   * @return {boolean} - False if the entries were dropped
+   */
+  _spill(entries) {
+    const data = entries.map(entry => `${JSON.stringify(this._serialize(entry))}\n`).join('');
+    const bytes = Buffer.byteLength(data);
+
+    if (this.spillSize - this.spillOffset + bytes > this.maxSpillBytes) {
+      this.stats.dropped += entries.length;
+      if (!this.spillFull) {
+        this.spillFull = true;
+        logger.error(`Outbox ${this.name} spill file is full, dropping messages until it drains`, {
+          spillFile: this.spillFile,
+          maxSpillBytes: this.maxSpillBytes
+        });
+      }
+      return false;
+    }
+
+    // Synchronous so concurrent spills and unspills cannot interleave
+    fs.appendFileSync(this.spillFile, data);
+    this.spillSize += bytes;
+    this.spilled += entries.length;
+    this.stats.spilledTotal += entries.length;
+    return true;
+  }
+
+  /**
+   * Moves the oldest spilled entries back into memory, reading on from where
+   * the last call stopped instead of rewriting the file. After a crash the
+   * part read back since the last rewrite is sent again, consumers drop the
+   * duplicates by their generation and sequence.
+   * @private
+   */
+  _unspill() {
+    const fd = fs.openSync(this.spillFile, 'r');
+    const chunk = Buffer.alloc(EventOutbox.SPILL_READ_SIZE);
+    let pending = Buffer.alloc(0);
+    let loaded = 0;
+
+    try {
+      while (loaded < this.maxSize && this.spillOffset + pending.length < this.spillSize) {
+        const read = fs.readSync(fd, chunk, 0, chunk.length, this.spillOffset + pending.length);
+        if (read === 0) break;
+        pending = Buffer.concat([pending, chunk.subarray(0, read)]);
+
+        let end;
+        while (loaded < this.maxSize && (end = pending.indexOf(0x0a)) !== -1) {
+          this.queue.push(this._deserialize(JSON.parse(pending.toString('utf8', 0, end))));
+          pending = pending.subarray(end + 1);
+          this.spillOffset += end + 1;
+          loaded++;
+        }
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    this.spilled -= loaded;
+    this.spillFull = false;
+
+    if (this.spilled === 0) {
+      this._removeSpill();
+    } else if (this.spillOffset > this.spillSize / 2) {
+      // Drop the part read back once it is most of the file, which keeps the
+      // rewrites linear in the number of messages spilled
+      this._compactSpill('');
+    }
+  }
+
+  /**
+   * Rewrites the spill file without the part already read back
+   * @private
+   * @param {string} head - Serialized entries to put in front of the rest
+   */
+  _compactSpill(head) {
+    const rest = this.spillSize > this.spillOffset
+      ? fs.readFileSync(this.spillFile).subarray(this.spillOffset)
+      : Buffer.alloc(0);
+    const data = Buffer.concat([Buffer.from(head), rest]);
+
+    if (data.length === 0) {
+      this._removeSpill();
+      return;
+    }
+    fs.writeFileSync(this.spillFile, data);
+    this.spillSize = data.length;
+    this.spillOffset = 0;
+  }
+
+  /**
+   * Removes the spill file once everything in it was read back
+   * @private
+   */
+  _removeSpill() {
+    fs.rmSync(this.spillFile, { force: true });
+    this.spillSize = 0;
+    this.spillOffset = 0;
+  }
+
+  /**
+   * Counts the records of a spill file left by a previous run
+   * @private
+   * @return {number} - The number of spilled entries
+   */
+  _countSpill() {
+    const fd = fs.openSync(this.spillFile, 'r');
+    const chunk = Buffer.alloc(EventOutbox.SPILL_READ_SIZE);
+    let count = 0;
+    let position = 0;
+
+    try {
+      let read;
+      while ((read = fs.readSync(fd, chunk, 0, chunk.length, position)) > 0) {
+        for (let i = 0; i < read; i++) {
+          if (chunk[i] === 0x0a) count++;
+        }
+        position += read;
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+    return count;
+  }
+
+  /**
+   * Converts an entry into a JSON-safe record
+   * @private
+   * @param {Object} entry - The entry
+   * @return {Object} - The record
+   */
+  _serialize({ topic, message, attempts }) {
+    const headers = {};
+    for (const [name, value] of Object.entries(message.headers || {})) {
+      headers[name] = value.toString();
+    }
+
+    return {
+      topic,
+      attempts,
+      key: message.key === null || message.key === undefined ? null : message.key.toString(),
+      partition: message.partition === undefined ? null : message.partition,
+      value: Buffer.from(message.value).toString('base64'),
+      headers
+    };
+  }
+
+  /**
+   * Converts a spill record back into an entry
+   * @private
+   * @param {Object} record - The record
+   * @return {Object} - The entry
+   */
+  _deserialize(record) {
+    const message = {
+      key: record.key,
+      value: Buffer.from(record.value, 'base64'),
+      headers: record.headers
+    };
+    if (record.partition !== null) {
+      message.partition = record.partition;
+    }
+    return { topic: record.topic, message, attempts: record.attempts };
+  }
+}
+
+// Broker errors that reject the messages sent rather than the request
+EventOutbox.REJECTION_TYPES = ['MESSAGE_TOO_LARGE', 'RECORD_LIST_TOO_LARGE', 'INVALID_RECORD', 'INVALID_PARTITION'];
+
+// Bytes read from the spill file at a time
+EventOutbox.SPILL_READ_SIZE = 64 * 1024;
+
+module.exports = EventOutbox;
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+
+/**
+ * MurmurHash3 (x86, 32-bit) of a string's UTF-8 bytes
+ * @param {string} key - The key to hash
+ * @param {number} seed - Hash seed
+ * @return {number} - Unsigned 32-bit hash
+ */
+function murmur3(key, seed = 0) {
+  const bytes = Buffer.from(key, 'utf8');
+  const blocks = bytes.length >> 2;
+  let h = seed >>> 0;
+
+  for (let i = 0; i < blocks; i++) {
+    let k = bytes.readUInt32LE(i * 4);
+    k = Math.imul(k, 0xcc9e2d51);
+    k = (k << 15) | (k >>> 17);
+    k = Math.imul(k, 0x1b873593);
+
+    h ^= k;
+    h = (h << 13) | (h >>> 19);
+    h = (Math.imul(h, 5) + 0xe6546b64) | 0;
+  }
+
+  // Remaining 1 to 3 bytes
+  const tail = blocks * 4;
+  let k = 0;
+  switch (bytes.length & 3) {
+    case 3: k ^= bytes[tail + 2] << 16; // falls through
+    case 2: k ^= bytes[tail + 1] << 8; // falls through
+    case 1:
+      k ^= bytes[tail];
+      k = Math.imul(k, 0xcc9e2d51);
+      k = (k << 15) | (k >>> 17);
+      k = Math.imul(k, 0x1b873593);
+      h ^= k;
+  }
+
+  h ^= bytes.length;
+  return fmix32(h);
+}
+
+/**
+ * MurmurHash3 finalizer, spreads every input bit over the whole output
+ * @param {number} h - 32-bit value
+ * @return {number} - Unsigned 32-bit mixed value
+ */
+function fmix32(h) {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+const JUMP_MULTIPLIER = 2862933555777941757n;
+const UINT64_MASK = (1n << 64n) - 1n;
+
+/**
+ * Jump consistent hash (Lamping and Veach). Growing the bucket count from
+ * n to n+1 moves only 1/(n+1) of the keys, all of them into the new bucket.
+ * @param {bigint} key - Unsigned 64-bit key
+ * @param {number} buckets - Number of buckets
+ * @return {number} - Bucket in [0, buckets)
+ */
+function jumpHash(key, buckets) {
+  let b = -1;
+  let j = 0;
+  while (j < buckets) {
+    b = j;
+    key = (key * JUMP_MULTIPLIER + 1n) & UINT64_MASK;
+    j = Math.floor((b + 1) * (2 ** 31 / (Number(key >> 33n) + 1)));
+  }
+  return b;
+}
+
+/**
+ * Ways of mapping a userId onto a vnode. Every service sharing a ring must
+ * use the same strategy, otherwise they disagree about who owns a user.
+ */
+const strategies = {
+  // First 32 bits of the md5 digest mod the vnode count, the original placement
+  'md5-mod': (userId, vnodeCount) => {
+    const hash = crypto.createHash('md5').update(userId).digest('hex');
+    return parseInt(hash.substring(0, 8), 16) % vnodeCount;
+  },
+
+  // Same placement rule as md5-mod with a much cheaper hash
+  'murmur-mod': (userId, vnodeCount) => murmur3(userId) % vnodeCount,
+
+  // Minimal movement when the vnode count changes, in O(log n) steps
+  'jump': (userId, vnodeCount) => {
+    const key = (BigInt(murmur3(userId, 0)) << 32n) | BigInt(murmur3(userId, 0x9747b28c));
+    return jumpHash(key, vnodeCount);
+  },
+
+  // Highest random weight: the vnode scoring highest for the user wins.
+  // Moves as few keys as jump, but costs O(n) per lookup.
+  'rendezvous': (userId, vnodeCount) => {
+    const hash = murmur3(userId);
+    let best = 0;
+    let bestScore = -1;
+    for (let vnodeId = 0; vnodeId < vnodeCount; vnodeId++) {
+      const score = fmix32(hash ^ Math.imul(vnodeId + 1, 0x9e3779b1));
+      if (score > bestScore) {
+        best = vnodeId;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+};
+
+module.exports = {
+  strategies,
+  murmur3,
+  jumpHash
+};
@@ -0,0 +1,225 @@
+const StatusEvent = require('./status-event');
+const config = require('./config');
+const logger = require('./logger');
+
+/**
+ * Presence of every user, rebuilt from the compacted presence state topic.
+ * The topic keeps the latest status event of each user, so reading it from
+ * the start gives the current state of the whole cluster. The snapshot is
+ * ready once it has read up to where the topic ended when it started, and
+ * keeps following the topic after that.
+ *
+ * Compaction can remove the records at the end of a partition, such as old
+ * tombstones, and a consumer is never told the offsets it skipped. So the
+ * snapshot first writes a tombstone of its own to every partition and reads
+ * up to it, as a record that is this recent is always still there.
+ */
+class PresenceSnapshot {
+  /**
+   * @param {Object} bus - The event bus
+   * @param {string} groupId - Consumer group of this process alone, offsets are never committed
+   */
+  constructor(bus, groupId) {
+    this.bus = bus;
+    this.topic = config.kafkaPresenceStateTopic;
+    this.markerKey = `${PresenceSnapshot.MARKER_KEY_PREFIX}${groupId}`;
+    this.consumer = bus.consumer({ groupId, topic: this.topic, fromBeginning: true, commitOffsets: false });
+
+    this.records = new Map(); // userId -> presence record
+    this.ready = false;
+    this.targets = new Map(); // partition -> { low, high, position } of the initial backlog
+    this.remaining = 0;
+    this.invalid = 0;
+    this.startedAt = null;
+    this.readyAt = null;
+    this.progressTimer = null;
+    this.readyPromise = new Promise(resolve => {
+      this.resolveReady = resolve;
+    });
+  }
+
+  /**
+   * Creates the compacted topic if it does not exist
+   * @param {Object} bus - The event bus
+   */
+  static async ensureTopic(bus) {
+    await bus.ensureTopic(config.kafkaPresenceStateTopic, {
+      partitions: config.presenceStatePartitions,
+      compacted: true
+    });
+  }
+
+  /**
+   * Starts reading the topic from the beginning
+   */
+  async start() {
+    this.startedAt = Date.now();
+
+    // Mark where every partition ends now, later messages are live updates
+    const partitions = await this.bus.fetchOffsets(this.topic);
+    await this.bus.send([{
+      topic: this.topic,
+      messages: partitions.map(({ partition }) => ({ key: this.markerKey, value: null, partition }))
+    }]);
+
+    const offsets = await this.bus.fetchOffsets(this.topic);
+    for (const { partition, low, high } of offsets) {
+      if (BigInt(high) > BigInt(low)) {
+        this.targets.set(partition, { low: BigInt(low), high: BigInt(high), position: BigInt(low) });
+      }
+    }
+    this.remaining = this.targets.size;
+
+    if (this.targets.size === 0) {
+      this._markReady();
+    } else {
+      this.progressTimer = setInterval(() => {
+        logger.info('Rebuilding presence from the state topic', this.getProgress());
+      }, 5000);
+    }
+
+    await this.consumer.run(async ({ partition, message }) => this._handleMessage(partition, message));
+  }
+
+  /**
+   * Resolves once the snapshot has caught up with the topic
+   * @return {Promise} - Resolved when ready
+   */
+  whenReady() {
+    return this.readyPromise;
+  }
+
+  /**
+   * Checks whether the snapshot has caught up with the topic
+   * @return {boolean} - True once ready
+   */
+  isReady() {
+    return this.ready;
+  }
+
+  /**
+   * Reports how far the rebuild got
+   * @return {Object} - Ready flag, users loaded, percentage of the initial backlog read and elapsed time
+   */
+  getProgress() {
+    let total = 0n;
+    let read = 0n;
+    for (const target of this.targets.values()) {
+      total += target.high - target.low;
+      read += target.position - target.low;
+    }
+
+    return {
+      ready: this.ready,
+      users: this.records.size,
+      percent: total > 0n ? Math.floor(Number(read * 10000n / total)) / 100 : 100,
+      partitionsRemaining: this.remaining,
+      invalidMessages: this.invalid,
+      elapsedMs: (this.readyAt || Date.now()) - this.startedAt
+    };
+  }
+
+  /**
+   * Gets a user's latest known presence record
+   * @param {string} userId - The user identifier
+   * @return {Object|null} - The presence record or null if the user never had one
+   */
+  get(userId) {
+    return this.records.get(userId) || null;
+  }
+
+  /**
+   * Iterates over every user's presence record
+   * @return {Iterator} - [userId, record] pairs
+   */
+  entries() {
+    return this.records.entries();
+  }
+
+  /**
+   * Stops following the topic
+   */
+  async stop() {
+    clearInterval(this.progressTimer);
+    await this.consumer.stop();
+  }
+
+  /**
+   * Applies a state message and tracks the rebuild
+   * @private
+   * @param {number} partition - The partition the message came from
+   * @param {Object} message - The message
+   */
+  _handleMessage(partition, message) {
+    this._apply(message);
+
+    const target = this.targets.get(partition);
+    if (!target || target.position >= target.high) return;
+
+    const position = BigInt(message.offset) + 1n;
+    target.position = position < target.high ? position : target.high;
+    if (target.position === target.high) {
+      this.remaining--;
+      if (this.remaining === 0) {
+        this._markReady();
+      }
+    }
+  }
+
+  /**
+   * Stores the state carried by a message, unless a newer one is known
+   * @private
+   * @param {Object} message - The message
+   */
+  _apply(message) {
+    // A tombstone removes the user from the topic
+    if (!message.value) {
+      this.records.delete(message.key.toString());
+      return;
+    }
+
+    let event;
+    try {
+      event = StatusEvent.decode(message.value, message.headers);
+    } catch (error) {
+      this.invalid++;
+      logger.debug('Skipping invalid presence state message', { offset: message.offset, error: error.message });
+      return;
+    }
+
+    const current = this.records.get(event.userId);
+    if (current && StatusEvent.isOrdered(event) && StatusEvent.compare(event, current) < 0) {
+      return;
+    }
+
+    this.records.set(event.userId, {
+      status: event.type,
+      nodeId: event.nodeId,
+      connectedAt: null,
+      lastSeen: event.timestamp,
+      devices: event.devices,
+      statusMessage: event.statusMessage,
+      statusExpiresAt: event.statusExpiresAt,
+      autoAway: false,
+      generation: event.generation || 0,
+      sequence: event.sequence || 0
+    });
+  }
+
+  /**
+   * Flags the snapshot as ready
+   * @private
+   */
+  _markReady() {
+    this.ready = true;
+    this.readyAt = Date.now();
+    clearInterval(this.progressTimer);
+    logger.info('Presence rebuilt from the state topic', this.getProgress());
+    this.resolveReady();
+  }
+}
+
+// Key of the tombstones marking the end of the backlog, followed by the snapshot's group id
+PresenceSnapshot.MARKER_KEY_PREFIX = '__snapshot:';
+
+module.exports = PresenceSnapshot;
@@ -0,0 +1,62 @@
+/**
+ * Presence states and visibility rules shared by the coordinator and WS nodes
+ */
+class Presence {
+  /**
+   * Checks whether a status can be set explicitly by a user
+   * @param {string} status - The requested status
+   * @return {boolean} - True if the status is user-settable
+   */
+  static isSettableStatus(status) {
+    return Presence.SETTABLE_STATUSES.includes(status);
+  }
+
+  /**
+   * Checks whether a status means the user has at least one open session
+   * @param {string} status - The presence status
+   * @return {boolean} - True unless the status is offline
+   */
+  static isConnectedStatus(status) {
+    return status !== 'offline';
+  }
+
+  /**
+   * Builds the view of a presence record as seen by a given viewer.
+   * Invisible users appear offline to everyone but themselves, and
+   * custom statuses past their expiry fall back to online.
+   * @param {Object|null} record - The presence record
+   * @param {boolean} isSelf - True if the viewer is the user the record belongs to
+   * @param {number} now - Current time in ms
+   * @return {Object} - Status, statusMessage, devices, connectedAt and lastSeen
+   */
+  static viewFor(record, isSelf = false, now = Date.now()) {
+    if (!record || (record.status === 'invisible' && !isSelf)) {
+      return {
+        status: 'offline',
+        statusMessage: null,
+        devices: [],
+        connectedAt: null,
+        lastSeen: record && record.status !== 'invisible' ? record.lastSeen : null
+      };
+    }
+
+    const expired = record.statusExpiresAt && now >= record.statusExpiresAt;
+    const status = expired && Presence.isConnectedStatus(record.status) ? 'online' : record.status;
+
+    return {
+      status,
+      statusMessage: expired ? null : record.statusMessage || null,
+      devices: record.devices || [],
+      connectedAt: record.connectedAt || null,
+      lastSeen: record.lastSeen || null
+    };
+  }
+}
+
+// All statuses a user can be in
+Presence.STATUSES = ['online', 'away', 'busy', 'invisible', 'offline'];
+
+// Statuses a connected user may choose for themselves
+Presence.SETTABLE_STATUSES = ['online', 'away', 'busy', 'invisible'];
+
+module.exports = Presence;
@@ -2,6 +2,46 @@ const Redis = require('ioredis');
 const config = require('./config');
 const logger = require('./logger');
 
+// Writes a presence record unless the stored one is newer. Records are ordered
+// by (generation, sequence), a record without them counts as (0, 0). A
+// replacing write is a new event, so one with the stored pair is a duplicate
+// and skipped too; a merge refreshes the record of the same event.
+// KEYS[1]: presence key
+// ARGV: ttl, generation, sequence, '1' to replace the record or '0' to merge, then field/value pairs
+const SET_PRESENCE_IF_NEWER = `
+local stored = redis.call('HMGET', KEYS[1], 'generation', 'sequence')
+local generation = tonumber(stored[1]) or 0
+local sequence = tonumber(stored[2]) or 0
+local newGeneration = tonumber(ARGV[2])
+local newSequence = tonumber(ARGV[3])
+if newGeneration < generation or (newGeneration == generation and newSequence < sequence) then
+  return 0
+end
+if ARGV[4] == '1' and newGeneration == generation and newSequence == sequence then
+  return 0
+end
+if ARGV[4] == '1' then
+  redis.call('DEL', KEYS[1])
+end
+redis.call('HSET', KEYS[1], unpack(ARGV, 5))
+redis.call('EXPIRE', KEYS[1], ARGV[1])
+return 1
+`;
+
+// Copies a ring hash written before keys carried the vnode count into its
+// per-count key, unless that key already exists.
+// KEYS[1]: legacy key, KEYS[2]: per-count key
+const COPY_LEGACY_RING_HASH = `
+if redis.call('EXISTS', KEYS[2]) == 1 then
+  return 0
+end
+local entries = redis.call('HGETALL', KEYS[1])
+for i = 1, #entries, 1000 do
+  redis.call('HSET', KEYS[2], unpack(entries, i, math.min(i + 999, #entries)))
+end
+return #entries / 2
+`;
+
 class RedisClient {
   constructor() {
     this.client = new Redis(config.redisUrl);
@@ -14,66 +54,340 @@ class RedisClient {
       logger.error('Redis error', { error: err.message });
     });
     
+    this.client.defineCommand('setPresenceIfNewer', { numberOfKeys: 1, lua: SET_PRESENCE_IF_NEWER });
+    this.client.defineCommand('copyLegacyRingHash', { numberOfKeys: 2, lua: COPY_LEGACY_RING_HASH });
+    
+    // Ownership keys, entries are released when their instance's lease expires.
+    // Vnode keys carry the vnode count they belong to, so two rings can live
+    // side by side while the count is being changed.
+    this.VNODE_RING_KEY = 'vnode:ring';      // Hash: { vnodeCount, nextVnodeCount, hashStrategy }
+    this.VNODE_OWNERS_KEY_PREFIX = 'vnode:owners:'; // Hash: vnodeCount -> { vnodeId: instanceId }
+    this.VNODE_LOAD_KEY_PREFIX = 'vnode:load:';     // Hash: vnodeCount -> { vnodeId: onlineCount }
+    this.NODE_INFO_KEY = 'nodes:info';       // Hash: instanceId -> JSON { address, weight, updatedAt }
+    this.DRAINING_NODES_KEY = 'nodes:draining'; // Set: instanceIds being drained
+    this.RING_EPOCH_KEY = 'vnode:epoch';     // String: bumped on every ownership change
+    
+    // Ring keys of releases before the vnode count could change, copied on startup
+    this.LEGACY_VNODE_OWNERS_KEY = 'vnode:owners'; // Hash: vnodeId -> instanceId
+    this.LEGACY_VNODE_LOAD_KEY = 'vnode:load';     // Hash: vnodeId -> onlineCount
+    
+    // Never expires, events of older generations live on in the state topic and in caches
+    this.PRESENCE_GENERATION_KEY_PREFIX = 'generation:'; // String: userId -> latest presence generation
+    
     // Keys with TTL
-    this.VNODE_OWNERS_KEY = 'vnode:owners';  // Hash: vnodeId -> instanceId
-    this.VNODE_LOAD_KEY = 'vnode:load';      // Hash: vnodeId -> onlineCount
+    this.NODE_LEASE_KEY_PREFIX = 'node:lease:'; // String: instanceId -> last renewal timestamp
     this.USER_INSTANCE_KEY_PREFIX = 'user:'; // String: userId -> instanceId
+    this.VNODE_ROUTES_KEY_PREFIX = 'vnode:routes:'; // Set: vnodeCount:vnodeId -> userIds with a cached route
+    this.PRESENCE_KEY_PREFIX = 'presence:';  // Hash: userId -> presence record
+    this.NODE_USERS_KEY_PREFIX = 'node:users:'; // Set: instanceId -> userIds connected to it
+    this.LOCK_KEY_PREFIX = 'lock:';          // String: lock name -> holder
+    
+    // Pub/sub channels
+    this.OWNERSHIP_CHANNEL = 'vnode:ownership'; // JSON { vnodeCount, assignments: { vnodeId: instanceId|null }, addresses, epoch, timestamp }
+    this.RING_CHANNEL = 'vnode:resize';      // JSON { phase: 'prepare'|'cutover'|'abort', vnodeCount, nextVnodeCount, addresses, epoch, timestamp }
+    this.subscriber = null;
+    this.channelHandlers = {}; // channel -> handlers
+    this.closed = false;
     
     // Default TTL in seconds
     this.DEFAULT_TTL = 60;
   }
 
   /**
-   * Updates the vnode ownership mapping
-   * @param {Object} vnodeMappings - Map of vnodeId to instanceId
-   * @param {number} ttl - Time to live in seconds
+   * Gets the key of a ring's ownership hash
+   * @private
+   * @param {number} vnodeCount - The vnode count of the ring
+   * @return {string} - The Redis key
    */
-  async updateVnodeOwners(vnodeMappings, ttl = this.DEFAULT_TTL) {
-    if (Object.keys(vnodeMappings).length === 0) return;
-    
-    const pipeline = this.client.pipeline();
+  _ownersKey(vnodeCount) {
+    return `${this.VNODE_OWNERS_KEY_PREFIX}${vnodeCount}`;
+  }
+
+  /**
+   * Gets the key of a ring's load hash
+   * @private
+   * @param {number} vnodeCount - The vnode count of the ring
+   * @return {string} - The Redis key
+   */
+  _loadKey(vnodeCount) {
+    return `${this.VNODE_LOAD_KEY_PREFIX}${vnodeCount}`;
+  }
+
+  /**
+   * Gets the key of a vnode's cached route index
+   * @private
+   * @param {number} vnodeCount - The vnode count of the ring
+   * @param {number} vnodeId - The vnode identifier
+   * @return {string} - The Redis key
+   */
+  _routesKey(vnodeCount, vnodeId) {
+    return `${this.VNODE_ROUTES_KEY_PREFIX}${vnodeCount}:${vnodeId}`;
+  }
+
+  /**
+   * Gets the vnode count in use, the one being moved to during a resize, and
+   * the hash strategy every service of the cluster maps users with. The
+   * ownership and load of a cluster upgraded from before resizing are copied
+   * into the keys of the vnode count in use.
+   * @param {number} defaultVnodeCount - Count to store if the ring was never set up
+   * @param {string} defaultHashStrategy - Strategy to store if the ring has none yet
+   * @return {Object} - { vnodeCount, nextVnodeCount, hashStrategy } where nextVnodeCount is null outside a resize
+   */
+  async getRing(defaultVnodeCount, defaultHashStrategy) {
+    await this.client.hsetnx(this.VNODE_RING_KEY, 'vnodeCount', defaultVnodeCount);
+    await this.client.hsetnx(this.VNODE_RING_KEY, 'hashStrategy', defaultHashStrategy);
+    const raw = await this.client.hgetall(this.VNODE_RING_KEY);
+    const vnodeCount = parseInt(raw.vnodeCount, 10);
     
-    // Update vnode owners
-    pipeline.hmset(this.VNODE_OWNERS_KEY, vnodeMappings);
-    pipeline.expire(this.VNODE_OWNERS_KEY, ttl);
+    const owners = await this.client.copyLegacyRingHash(this.LEGACY_VNODE_OWNERS_KEY, this._ownersKey(vnodeCount));
+    await this.client.copyLegacyRingHash(this.LEGACY_VNODE_LOAD_KEY, this._loadKey(vnodeCount));
+    if (owners > 0) {
+      logger.info(`Copied ${owners} legacy vnode owners into the ring of ${vnodeCount} vnodes`);
+    }
     
-    await pipeline.exec();
-    logger.debug(`Updated ${Object.keys(vnodeMappings).length} vnode ownerships with TTL ${ttl}s`);
+    return {
+      vnodeCount,
+      nextVnodeCount: raw.nextVnodeCount ? parseInt(raw.nextVnodeCount, 10) : null,
+      hashStrategy: raw.hashStrategy
+    };
+  }
+
+  /**
+   * Starts a resize by writing the ownership of the next ring
+   * @param {number} nextVnodeCount - The vnode count being moved to
+   * @param {Object} owners - Map of vnodeId to instanceId for the next ring
+   * @return {number} - The new ring epoch
+   */
+  async startRingResize(nextVnodeCount, owners) {
+    const multi = this.client.multi()
+      .del(this._ownersKey(nextVnodeCount), this._loadKey(nextVnodeCount))
+      .hset(this.VNODE_RING_KEY, 'nextVnodeCount', nextVnodeCount);
+    if (Object.keys(owners).length > 0) {
+      multi.hmset(this._ownersKey(nextVnodeCount), owners);
+    }
+    multi.incr(this.RING_EPOCH_KEY);
+
+    const results = await multi.exec();
+    return results[results.length - 1][1];
+  }
+
+  /**
+   * Makes the next ring the one in use and drops the previous ring's keys
+   * @param {number} vnodeCount - The vnode count in use so far
+   * @param {number} nextVnodeCount - The vnode count being moved to
+   * @return {number} - The new ring epoch
+   */
+  async cutoverRing(vnodeCount, nextVnodeCount) {
+    const results = await this.client.multi()
+      .hset(this.VNODE_RING_KEY, 'vnodeCount', nextVnodeCount)
+      .hdel(this.VNODE_RING_KEY, 'nextVnodeCount')
+      .del(this._ownersKey(vnodeCount), this._loadKey(vnodeCount))
+      .incr(this.RING_EPOCH_KEY)
+      .exec();
+    return results[results.length - 1][1];
+  }
+
+  /**
+   * Abandons a resize, dropping the next ring's keys
+   * @param {number} nextVnodeCount - The vnode count that was being moved to
+   * @return {number} - The new ring epoch
+   */
+  async abortRingResize(nextVnodeCount) {
+    const results = await this.client.multi()
+      .hdel(this.VNODE_RING_KEY, 'nextVnodeCount')
+      .del(this._ownersKey(nextVnodeCount), this._loadKey(nextVnodeCount))
+      .incr(this.RING_EPOCH_KEY)
+      .exec();
+    return results[results.length - 1][1];
+  }
+
+  /**
+   * Renews an instance's liveness lease
+   * @param {string} instanceId - The instance identifier
+   * @param {number} ttl - Time to live in seconds
+   */
+  async renewNodeLease(instanceId, ttl = this.DEFAULT_TTL) {
+    await this.client.set(`${this.NODE_LEASE_KEY_PREFIX}${instanceId}`, Date.now(), 'EX', ttl);
+  }
+
+  /**
+   * Drops an instance's liveness lease
+   * @param {string} instanceId - The instance identifier
+   */
+  async removeNodeLease(instanceId) {
+    await this.client.del(`${this.NODE_LEASE_KEY_PREFIX}${instanceId}`);
+  }
+
+  /**
+   * Gets the last lease renewal of each instance
+   * @param {Array<string>} instanceIds - The instance identifiers
+   * @return {Object} - Map of instanceId to renewal timestamp, or null if the lease expired
+   */
+  async getNodeLeases(instanceIds) {
+    if (instanceIds.length === 0) return {};
+
+    const results = await this.client.mget(
+      instanceIds.map(instanceId => `${this.NODE_LEASE_KEY_PREFIX}${instanceId}`)
+    );
+    return instanceIds.reduce((acc, instanceId, index) => {
+      acc[instanceId] = results[index] ? parseInt(results[index], 10) : null;
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Tries to take a short-lived lock so only one replica runs a task
+   * @param {string} name - The lock name
+   * @param {string} holder - Identifies the caller
+   * @param {number} ttlMs - Lock lifetime in milliseconds
+   * @return {boolean} - True if the lock was acquired
+   */
+  async acquireLock(name, holder, ttlMs) {
+    const result = await this.client.set(`${this.LOCK_KEY_PREFIX}${name}`, holder, 'PX', ttlMs, 'NX');
+    return result === 'OK';
+  }
+
+  /**
+   * Applies an ownership change and bumps the ring epoch in one transaction
+   * @param {number} vnodeCount - The vnode count of the ring
+   * @param {Object} owned - Map of vnodeId to new instanceId
+   * @param {Array<number>} released - Vnodes left without an owner
+   * @return {number} - The new ring epoch
+   */
+  async commitOwnershipChange(vnodeCount, owned, released) {
+    const multi = this.client.multi();
+    if (Object.keys(owned).length > 0) {
+      multi.hmset(this._ownersKey(vnodeCount), owned);
+    }
+    if (released.length > 0) {
+      multi.hdel(this._ownersKey(vnodeCount), ...released);
+      multi.hdel(this._loadKey(vnodeCount), ...released);
+    }
+    multi.incr(this.RING_EPOCH_KEY);
+
+    const results = await multi.exec();
+    const [, epoch] = results[results.length - 1];
+    logger.debug(`Committed ownership change to epoch ${epoch}`, {
+      owned: Object.keys(owned).length,
+      released: released.length
+    });
+    return epoch;
+  }
+
+  /**
+   * Gets the current ring epoch
+   * @return {number} - The ring epoch, 0 if the ring never changed
+   */
+  async getRingEpoch() {
+    const result = await this.client.get(this.RING_EPOCH_KEY);
+    return result ? parseInt(result, 10) : 0;
+  }
+
+  /**
+   * Announces a vnode ownership change to every node and coordinator
+   * @param {Object} change - The change, with assignments mapping vnodeId to instanceId or null
+   */
+  async publishOwnershipChange(change) {
+    await this.client.publish(this.OWNERSHIP_CHANNEL, JSON.stringify(change));
+  }
+
+  /**
+   * Listens for vnode ownership changes on a dedicated subscriber connection
+   * @param {Function} handler - Called with each change
+   */
+  async subscribeOwnershipChanges(handler) {
+    await this._subscribe(this.OWNERSHIP_CHANNEL, handler);
+  }
+
+  /**
+   * Announces a step of a vnode count resize to every node and coordinator
+   * @param {Object} change - The step, with the vnodeCount in use and the nextVnodeCount being moved to
+   */
+  async publishRingChange(change) {
+    await this.client.publish(this.RING_CHANNEL, JSON.stringify(change));
+  }
+
+  /**
+   * Listens for vnode count resize steps
+   * @param {Function} handler - Called with each step
+   */
+  async subscribeRingChanges(handler) {
+    await this._subscribe(this.RING_CHANNEL, handler);
+  }
+
+  /**
+   * Subscribes a handler to a JSON channel on the shared subscriber connection
+   * @private
+   * @param {string} channel - The channel name
+   * @param {Function} handler - Called with each parsed message
+   */
+  async _subscribe(channel, handler) {
+    if (!this.subscriber) {
+      this.subscriber = this.client.duplicate();
+      this.subscriber.on('error', (err) => {
+        logger.error('Redis subscriber error', { error: err.message });
+      });
+      this.subscriber.on('message', (channel, message) => {
+        for (const channelHandler of this.channelHandlers[channel] || []) {
+          try {
+            channelHandler(JSON.parse(message));
+          } catch (error) {
+            logger.error(`Error handling message on ${channel}`, { error: error.message });
+          }
+        }
+      });
+    }
+
+    // Services sharing the process each add their own handler
+    if (!this.channelHandlers[channel]) {
+      this.channelHandlers[channel] = [];
+    }
+    this.channelHandlers[channel].push(handler);
+    await this.subscriber.subscribe(channel);
+    logger.info(`Subscribed to ${channel}`);
   }
 
   /**
    * Updates the vnode load information
+   * @param {number} vnodeCount - The vnode count of the ring
    * @param {Object} vnodeLoads - Map of vnodeId to load count
-   * @param {number} ttl - Time to live in seconds
    */
-  async updateVnodeLoads(vnodeLoads, ttl = this.DEFAULT_TTL) {
+  async updateVnodeLoads(vnodeCount, vnodeLoads) {
     if (Object.keys(vnodeLoads).length === 0) return;
     
-    const pipeline = this.client.pipeline();
-    
-    // Update vnode load metrics
-    pipeline.hmset(this.VNODE_LOAD_KEY, vnodeLoads);
-    pipeline.expire(this.VNODE_LOAD_KEY, ttl);
+    await this.client.hmset(this._loadKey(vnodeCount), vnodeLoads);
+    logger.debug(`Updated ${Object.keys(vnodeLoads).length} vnode loads`);
+  }
+
+  /**
+   * Forgets the load of vnodes whose owner went away, until their new owner
+   * reports it
+   * @param {number} vnodeCount - The vnode count of the ring
+   * @param {Array<number>} vnodeIds - The vnode identifiers
+   */
+  async removeVnodeLoads(vnodeCount, vnodeIds) {
+    if (vnodeIds.length === 0) return;
     
-    await pipeline.exec();
-    logger.debug(`Updated ${Object.keys(vnodeLoads).length} vnode loads with TTL ${ttl}s`);
+    await this.client.hdel(this._loadKey(vnodeCount), ...vnodeIds);
   }
 
   /**
    * Gets all vnode ownership mappings
+   * @param {number} vnodeCount - The vnode count of the ring
    * @return {Object} - Map of vnodeId to instanceId
    */
-  async getAllVnodeOwners() {
-    const result = await this.client.hgetall(this.VNODE_OWNERS_KEY);
+  async getAllVnodeOwners(vnodeCount) {
+    const result = await this.client.hgetall(this._ownersKey(vnodeCount));
     return result || {};
   }
 
   /**
    * Gets all vnode load metrics
+   * @param {number} vnodeCount - The vnode count of the ring
    * @return {Object} - Map of vnodeId to load count
    */
-  async getAllVnodeLoads() {
-    const result = await this.client.hgetall(this.VNODE_LOAD_KEY);
+  async getAllVnodeLoads(vnodeCount) {
+    const result = await this.client.hgetall(this._loadKey(vnodeCount));
     
     // Convert string values to numbers
     return Object.entries(result || {}).reduce((acc, [key, value]) => {
@@ -83,13 +397,89 @@ class RedisClient {
   }
 
   /**
-   * Caches a user's instance mapping
+   * Stores an instance's advertised address and weight
+   * @param {string} instanceId - The instance identifier
+   * @param {Object} info - Node info (address, weight, invalidEvents)
+   */
+  async setNodeInfo(instanceId, info) {
+    await this.client.hset(this.NODE_INFO_KEY, instanceId, JSON.stringify({
+      ...info,
+      updatedAt: Date.now()
+    }));
+  }
+
+  /**
+   * Gets an instance's advertised address and weight
+   * @param {string} instanceId - The instance identifier
+   * @return {Object|null} - Node info or null if the instance is unknown
+   */
+  async getNodeInfo(instanceId) {
+    const result = await this.client.hget(this.NODE_INFO_KEY, instanceId);
+    return result ? JSON.parse(result) : null;
+  }
+
+  /**
+   * Gets the advertised address and weight of all known instances
+   * @return {Object} - Map of instanceId to node info
+   */
+  async getAllNodeInfo() {
+    const result = await this.client.hgetall(this.NODE_INFO_KEY);
+
+    return Object.entries(result || {}).reduce((acc, [instanceId, value]) => {
+      acc[instanceId] = JSON.parse(value);
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Removes an instance's node info
+   * @param {string} instanceId - The instance identifier
+   */
+  async removeNodeInfo(instanceId) {
+    await this.client.hdel(this.NODE_INFO_KEY, instanceId);
+  }
+
+  /**
+   * Caches a user's instance mapping, indexed by vnode so it can be
+   * invalidated when the vnode changes owner
    * @param {string} userId - The user identifier
    * @param {string} instanceId - The instance identifier
+   * @param {number} vnodeCount - The vnode count of the ring the route was computed on
+   * @param {number} vnodeId - The user's vnode
    * @param {number} ttl - Time to live in seconds
    */
-  async cacheUserInstance(userId, instanceId, ttl = this.DEFAULT_TTL) {
-    await this.client.setex(`${this.USER_INSTANCE_KEY_PREFIX}${userId}`, ttl, instanceId);
+  async cacheUserInstance(userId, instanceId, vnodeCount, vnodeId, ttl = this.DEFAULT_TTL) {
+    const indexKey = this._routesKey(vnodeCount, vnodeId);
+
+    await this.client.pipeline()
+      .setex(`${this.USER_INSTANCE_KEY_PREFIX}${userId}`, ttl, instanceId)
+      .sadd(indexKey, userId)
+      .expire(indexKey, ttl)
+      .exec();
+  }
+
+  /**
+   * Drops the cached routes of every user on the given vnodes
+   * @param {number} vnodeCount - The vnode count of the ring
+   * @param {Array<number>} vnodeIds - The vnodes whose owner changed
+   */
+  async invalidateVnodeRoutes(vnodeCount, vnodeIds) {
+    if (vnodeIds.length === 0) return;
+
+    const keys = vnodeIds.map(vnodeId => this._routesKey(vnodeCount, vnodeId));
+    const pipeline = this.client.pipeline();
+    for (const key of keys) {
+      pipeline.smembers(key);
+    }
+    const results = await pipeline.exec();
+
+    for (const [err, userIds] of results) {
+      if (err) continue;
+      keys.push(...userIds.map(userId => `${this.USER_INSTANCE_KEY_PREFIX}${userId}`));
+    }
+
+    await this.client.del(...keys);
+    logger.debug(`Invalidated ${keys.length - vnodeIds.length} cached routes on ${vnodeIds.length} vnodes`);
   }
 
   /**
@@ -102,9 +492,239 @@ class RedisClient {
   }
 
   /**
-   * Closes the Redis connection
+   * Starts a new presence generation for a user, taken by the node that
+   * becomes responsible for the user's presence. The counter never expires:
+   * a restarted count would put the user's new events behind old ones still
+   * held by the state topic and by every node's cache.
+   * @param {string} userId - The user identifier
+   * @return {number} - The new generation
+   */
+  async nextPresenceGeneration(userId) {
+    const key = `${this.PRESENCE_GENERATION_KEY_PREFIX}${userId}`;
+    // INCR keeps a TTL set by earlier versions, which expired the counter
+    const [[, generation]] = await this.client.multi()
+      .incr(key)
+      .persist(key)
+      .exec();
+    return generation;
+  }
+
+  /**
+   * Writes a user's presence record for a new event, replacing any previous
+   * record unless that one has the same or a higher (generation, sequence)
+   * @param {string} userId - The user identifier
+   * @param {Object} record - Presence record (status, nodeId, connectedAt, lastSeen, devices,
+   *   statusMessage, statusExpiresAt, generation, sequence)
+   * @param {number} ttl - Time to live in seconds
+   * @return {boolean} - False if a newer record, or the same event's, was kept
+   */
+  async setUserPresence(userId, record, ttl = this.DEFAULT_TTL) {
+    const written = await this.client.setPresenceIfNewer(
+      `${this.PRESENCE_KEY_PREFIX}${userId}`,
+      ...this._presenceArgs(record, ttl, true)
+    );
+    return written === 1;
+  }
+
+  /**
+   * Rewrites presence records for multiple users and renews their TTL,
+   * skipping users whose stored record is newer
+   * @param {Object} records - Map of userId to presence record
+   * @param {number} ttl - Time to live in seconds
+   */
+  async updateUserPresences(records, ttl = this.DEFAULT_TTL) {
+    if (Object.keys(records).length === 0) return;
+
+    const pipeline = this.client.pipeline();
+    for (const [userId, record] of Object.entries(records)) {
+      pipeline.setPresenceIfNewer(
+        `${this.PRESENCE_KEY_PREFIX}${userId}`,
+        ...this._presenceArgs(record, ttl, false)
+      );
+    }
+
+    const results = await pipeline.exec();
+    const skipped = results.filter(([err, written]) => !err && written === 0).length;
+    logger.debug(`Refreshed ${Object.keys(records).length - skipped} presence records with TTL ${ttl}s`, { skipped });
+  }
+
+  /**
+   * Marks or unmarks an instance as being drained
+   * @param {string} instanceId - The instance identifier
+   * @param {boolean} draining - True to start draining, false to stop
+   */
+  async setNodeDraining(instanceId, draining) {
+    if (draining) {
+      await this.client.sadd(this.DRAINING_NODES_KEY, instanceId);
+    } else {
+      await this.client.srem(this.DRAINING_NODES_KEY, instanceId);
+    }
+  }
+
+  /**
+   * Gets the instances being drained
+   * @return {Array<string>} - The instance identifiers
+   */
+  async getDrainingNodes() {
+    return await this.client.smembers(this.DRAINING_NODES_KEY);
+  }
+
+  /**
+   * Records that a user is connected to an instance
+   * @param {string} instanceId - The instance identifier
+   * @param {string} userId - The user identifier
+   */
+  async addNodeUser(instanceId, userId) {
+    await this.client.sadd(`${this.NODE_USERS_KEY_PREFIX}${instanceId}`, userId);
+  }
+
+  /**
+   * Records that a user is no longer connected to an instance
+   * @param {string} instanceId - The instance identifier
+   * @param {string} userId - The user identifier
+   */
+  async removeNodeUser(instanceId, userId) {
+    await this.client.srem(`${this.NODE_USERS_KEY_PREFIX}${instanceId}`, userId);
+  }
+
+  /**
+   * Gets the users connected to an instance
+   * @param {string} instanceId - The instance identifier
+   * @return {Array<string>} - The user identifiers
+   */
+  async getNodeUsers(instanceId) {
+    return await this.client.smembers(`${this.NODE_USERS_KEY_PREFIX}${instanceId}`);
+  }
+
+  /**
+   * Counts the users connected to an instance
+   * @param {string} instanceId - The instance identifier
+   * @return {number} - The number of users
+   */
+  async countNodeUsers(instanceId) {
+    return await this.client.scard(`${this.NODE_USERS_KEY_PREFIX}${instanceId}`);
+  }
+
+  /**
+   * Forgets all users of an instance
+   * @param {string} instanceId - The instance identifier
+   */
+  async clearNodeUsers(instanceId) {
+    await this.client.del(`${this.NODE_USERS_KEY_PREFIX}${instanceId}`);
+  }
+
+  /**
+   * Gets a user's presence record
+   * @param {string} userId - The user identifier
+   * @return {Object|null} - The presence record or null if not found
+   */
+  async getUserPresence(userId) {
+    const result = await this.client.hgetall(`${this.PRESENCE_KEY_PREFIX}${userId}`);
+    return this._parsePresence(result);
+  }
+
+  /**
+   * Gets presence records for multiple users in a single round-trip
+   * @param {Array<string>} userIds - The user identifiers
+   * @return {Object} - Map of userId to presence record (null if not found)
+   */
+  async getUserPresences(userIds) {
+    if (userIds.length === 0) return {};
+
+    const pipeline = this.client.pipeline();
+    for (const userId of userIds) {
+      pipeline.hgetall(`${this.PRESENCE_KEY_PREFIX}${userId}`);
+    }
+
+    const results = await pipeline.exec();
+    return userIds.reduce((acc, userId, index) => {
+      const [err, result] = results[index];
+      if (err) {
+        logger.error(`Error reading presence for user ${userId}`, { error: err.message });
+      }
+      acc[userId] = err ? null : this._parsePresence(result);
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Converts a presence record into hash fields, dropping empty values
+   * @private
+   * @param {Object} record - The presence record
+   * @return {Object} - Hash fields to store
+   */
+  _serializePresence(record) {
+    return Object.entries(record).reduce((acc, [key, value]) => {
+      if (value !== null && value !== undefined) {
+        acc[key] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      }
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Builds the arguments of a conditional presence write
+   * @private
+   * @param {Object} record - The presence record
+   * @param {number} ttl - Time to live in seconds
+   * @param {boolean} replace - True to drop fields missing from the record
+   * @return {Array} - Script arguments after the key
+   */
+  _presenceArgs(record, ttl, replace) {
+    const fields = this._serializePresence(record);
+    return [
+      ttl,
+      record.generation || 0,
+      record.sequence || 0,
+      replace ? '1' : '0',
+      ...Object.entries(fields).flat()
+    ];
+  }
+
+  /**
+   * Converts a raw presence hash into a presence record
+   * @private
+   * @param {Object} raw - The raw hash returned by HGETALL
+   * @return {Object|null} - The presence record or null if empty
+   */
+  _parsePresence(raw) {
+    if (!raw || Object.keys(raw).length === 0) return null;
+
+    return {
+      status: raw.status,
+      nodeId: raw.nodeId || null,
+      connectedAt: raw.connectedAt ? parseInt(raw.connectedAt, 10) : null,
+      lastSeen: raw.lastSeen ? parseInt(raw.lastSeen, 10) : null,
+      devices: raw.devices ? JSON.parse(raw.devices) : [],
+      statusMessage: raw.statusMessage || null,
+      statusExpiresAt: raw.statusExpiresAt ? parseInt(raw.statusExpiresAt, 10) : null,
+      autoAway: raw.autoAway === 'true',
+      generation: raw.generation ? parseInt(raw.generation, 10) : 0,
+      sequence: raw.sequence ? parseInt(raw.sequence, 10) : 0
+    };
+  }
+
+  /**
+   * Gets a user's cached instance mapping along with its remaining TTL
+   * @param {string} userId - The user identifier
+   * @return {Object} - { instanceId, ttl } where ttl is in seconds, or -2 if not cached
+   */
+  async getCachedUserInstanceEntry(userId) {
+    const key = `${this.USER_INSTANCE_KEY_PREFIX}${userId}`;
+    const [[, instanceId], [, ttl]] = await this.client.pipeline().get(key).ttl(key).exec();
+    return { instanceId, ttl };
+  }
+
+  /**
+   * Closes the Redis connection. Services sharing the process may each close it.
    */
   async close() {
+    if (this.closed) return;
+    this.closed = true;
+
+    if (this.subscriber) {
+      await this.subscriber.quit();
+    }
     await this.client.quit();
     logger.info('Redis connection closed');
   }
@@ -0,0 +1,235 @@
+const { v4: uuidv4 } = require('uuid');
+const codecs = require('./event-codecs');
+const Presence = require('./presence');
+const config = require('./config');
+
+/**
+ * The user status event exchanged between the coordinator and WS nodes:
+ * envelope, validation and wire encoding
+ */
+class StatusEvent {
+  /**
+   * Builds an event of the current version
+   * @param {string} type - The user's presence status after the change
+   * @param {string} userId - The user identifier
+   * @param {string} nodeId - The instance the change happened on
+   * @param {Object} fields - generation and sequence of the user's presence, and optional sessionId,
+   *   reason, devices, deviceType, statusMessage, statusExpiresAt and timestamp
+   * @return {Object} - The event
+   */
+  static create(type, userId, nodeId, fields = {}) {
+    return {
+      version: StatusEvent.VERSION,
+      eventId: uuidv4(),
+      type,
+      userId,
+      sessionId: fields.sessionId || null,
+      nodeId,
+      timestamp: fields.timestamp || Date.now(),
+      reason: fields.reason || null,
+      devices: fields.devices || [],
+      deviceType: fields.deviceType || null,
+      statusMessage: fields.statusMessage || null,
+      statusExpiresAt: fields.statusExpiresAt || null,
+      generation: fields.generation || 0,
+      sequence: fields.sequence || 0
+    };
+  }
+
+  /**
+   * Converts an event of the format from before the versioned envelope,
+   * { userId, action, timestamp, nodeId }, so that nodes still writing it
+   * during a rolling upgrade are understood
+   * @param {Object} legacy - The unversioned event
+   * @return {Object} - The event as version 1, which has no generation and sequence
+   */
+  static fromV0(legacy) {
+    return {
+      version: 1,
+      eventId: uuidv4(),
+      type: legacy.action,
+      userId: legacy.userId,
+      sessionId: null,
+      nodeId: legacy.nodeId,
+      timestamp: legacy.timestamp,
+      reason: null,
+      devices: [],
+      deviceType: null,
+      statusMessage: null,
+      statusExpiresAt: null
+    };
+  }
+
+  /**
+   * Checks an event against the schema
+   * @param {Object} event - The event
+   * @return {Array<string>} - The problems found, empty if the event is valid
+   */
+  static validate(event) {
+    if (!event || typeof event !== 'object' || Array.isArray(event)) {
+      return ['event is not an object'];
+    }
+
+    const errors = [];
+    const isString = value => typeof value === 'string' && value.length > 0;
+    const isOptionalString = value => value === null || isString(value);
+    const isTimestamp = value => Number.isSafeInteger(value) && value > 0;
+
+    if (!Number.isInteger(event.version) || event.version < 1 || event.version > StatusEvent.VERSION) {
+      errors.push(`unsupported version ${event.version}`);
+    }
+    if (!isString(event.eventId)) errors.push('eventId is required');
+    if (!Presence.STATUSES.includes(event.type)) errors.push(`unknown type ${event.type}`);
+    if (!isString(event.userId)) errors.push('userId is required');
+    if (!isString(event.nodeId)) errors.push('nodeId is required');
+    if (!isTimestamp(event.timestamp)) errors.push('timestamp must be a positive integer');
+    if (!isOptionalString(event.sessionId)) errors.push('sessionId must be a string or null');
+    if (event.reason !== null && !StatusEvent.REASONS.includes(event.reason)) {
+      errors.push(`unknown reason ${event.reason}`);
+    }
+    if (!Array.isArray(event.devices) || !event.devices.every(isString)) {
+      errors.push('devices must be an array of strings');
+    }
+    if (!isOptionalString(event.deviceType)) errors.push('deviceType must be a string or null');
+    if (event.statusMessage !== null && typeof event.statusMessage !== 'string') {
+      errors.push('statusMessage must be a string or null');
+    }
+    if (event.statusExpiresAt !== null && !isTimestamp(event.statusExpiresAt)) {
+      errors.push('statusExpiresAt must be a positive integer or null');
+    }
+    if (event.version >= 2) {
+      for (const field of ['generation', 'sequence']) {
+        if (!Number.isSafeInteger(event[field]) || event[field] < 0) {
+          errors.push(`${field} must be a non-negative integer`);
+        }
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Validates and encodes an event. The codec name travels in a header, so
+   * consumers can read events written with any registered codec.
+   * @param {Object} event - The event
+   * @param {string} codecName - Codec to encode with
+   * @return {Object} - { value, headers } to send as a message
+   */
+  static encode(event, codecName = config.eventCodec) {
+    const errors = StatusEvent.validate(event);
+    if (errors.length > 0) {
+      throw new Error(`Invalid status event: ${errors.join(', ')}`);
+    }
+
+    return {
+      value: StatusEvent._codec(codecName).encode(event),
+      headers: { [StatusEvent.CODEC_HEADER]: codecName }
+    };
+  }
+
+  /**
+   * Decodes and validates an event
+   * @param {Buffer} value - The message value
+   * @param {Object} headers - The message headers
+   * @return {Object} - The event
+   * @throws {Error} - If the message cannot be decoded or is not a valid event
+   */
+  static decode(value, headers = {}) {
+    // Only producers from before the envelope send no codec header, and they wrote JSON
+    const header = headers[StatusEvent.CODEC_HEADER];
+    const codecName = header ? header.toString() : 'json';
+    if (!value) {
+      throw new Error('Invalid status event: empty message');
+    }
+
+    let event;
+    try {
+      event = StatusEvent._codec(codecName).decode(Buffer.from(value));
+    } catch (error) {
+      throw new Error(`Undecodable status event (${codecName}): ${error.message}`);
+    }
+
+    if (event && typeof event === 'object' && event.version === undefined && event.action !== undefined) {
+      event = StatusEvent.fromV0(event);
+    }
+
+    // Codecs that omit empty fields, like JSON from older producers, leave them undefined
+    if (event && typeof event === 'object') {
+      for (const field of StatusEvent.OPTIONAL_FIELDS) {
+        if (event[field] === undefined) event[field] = null;
+      }
+      if (event.version < 2) {
+        event.generation = null;
+        event.sequence = null;
+      }
+    }
+
+    const errors = StatusEvent.validate(event);
+    if (errors.length > 0) {
+      throw new Error(`Invalid status event: ${errors.join(', ')}`);
+    }
+    return event;
+  }
+
+  /**
+   * Checks whether an event can be ordered against other events of its user.
+   * Events from before version 2 carry no generation and sequence.
+   * @param {Object} event - The event
+   * @return {boolean} - True if the event has a generation and sequence
+   */
+  static isOrdered(event) {
+    return event.version >= 2;
+  }
+
+  /**
+   * Orders two states of the same user by (generation, sequence). A newer
+   * generation means another node took the user over, so it wins regardless
+   * of the sequence.
+   * @param {Object} a - Event or presence record
+   * @param {Object} b - Event or presence record
+   * @return {number} - Negative if a is older, 0 if they are the same state, positive if a is newer
+   */
+  static compare(a, b) {
+    return (a.generation - b.generation) || (a.sequence - b.sequence);
+  }
+
+  /**
+   * Adds a codec, or replaces one
+   * @param {string} name - Codec name, as set in EVENT_CODEC
+   * @param {Object} codec - Object with encode(event) -> Buffer and decode(Buffer) -> event
+   */
+  static registerCodec(name, codec) {
+    StatusEvent.CODECS[name] = codec;
+  }
+
+  /**
+   * Looks up a codec by name
+   * @private
+   * @param {string} name - Codec name
+   * @return {Object} - The codec
+   */
+  static _codec(name) {
+    const codec = StatusEvent.CODECS[name];
+    if (!codec) {
+      throw new Error(`Unknown event codec: ${name}`);
+    }
+    return codec;
+  }
+}
+
+// Current envelope version, consumers accept every version up to it.
+// Version 2 added the generation and sequence.
+StatusEvent.VERSION = 2;
+
+// Why a status changed
+StatusEvent.REASONS = ['closed', 'timeout', 'shutdown', 'migrate', 'node_failure', 'idle', 'active'];
+
+// Fields that may be null
+StatusEvent.OPTIONAL_FIELDS = ['sessionId', 'reason', 'deviceType', 'statusMessage', 'statusExpiresAt'];
+
+// Message header naming the codec the event was encoded with
+StatusEvent.CODEC_HEADER = 'event-codec';
+
+// Available codecs by name
+StatusEvent.CODECS = { ...codecs };
+
+module.exports = StatusEvent;
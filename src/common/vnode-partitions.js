@@ -0,0 +1,99 @@
+const { AssignerProtocol: { MemberMetadata, MemberAssignment } } = require('kafkajs');
+
+/**
+ * Maps vnodes onto partitions of the status events topic, so a node only has
+ * to consume the partitions that carry its own users' events. Each partition
+ * carries a contiguous range of vnodes, and nodes are given contiguous vnodes,
+ * so a node reads few partitions even when there are far fewer partitions
+ * than vnodes.
+ */
+class VnodePartitions {
+  /**
+   * Gets the partition carrying the events of a vnode's users
+   * @param {number} vnodeId - The vnode identifier
+   * @param {number} vnodeCount - Number of vnodes of the ring
+   * @param {number} partitionCount - Number of partitions of the topic
+   * @return {number} - The partition
+   */
+  static forVnode(vnodeId, vnodeCount, partitionCount) {
+    return Math.floor(vnodeId * partitionCount / vnodeCount);
+  }
+
+  /**
+   * Gets the first vnode a partition carries, the inverse of forVnode
+   * @param {number} partition - The partition
+   * @param {number} vnodeCount - Number of vnodes of the ring
+   * @param {number} partitionCount - Number of partitions of the topic
+   * @return {number|null} - The vnode, or null if the partition carries none
+   */
+  static firstVnode(partition, vnodeCount, partitionCount) {
+    const vnodeId = Math.ceil(partition * vnodeCount / partitionCount);
+    if (vnodeId >= vnodeCount || VnodePartitions.forVnode(vnodeId, vnodeCount, partitionCount) !== partition) {
+      return null;
+    }
+    return vnodeId;
+  }
+
+  /**
+   * Gets the distinct partitions carrying the events of a set of vnodes
+   * @param {Array<number>} vnodeIds - The vnode identifiers
+   * @param {number} vnodeCount - Number of vnodes of the ring
+   * @param {number} partitionCount - Number of partitions of the topic
+   * @return {Array<number>} - Sorted partitions
+   */
+  static forVnodes(vnodeIds, vnodeCount, partitionCount) {
+    const partitions = new Set(vnodeIds.map(vnodeId => VnodePartitions.forVnode(vnodeId, vnodeCount, partitionCount)));
+    return [...partitions].sort((a, b) => a - b);
+  }
+
+  /**
+   * Creates a partition assigner that gives each group member exactly the
+   * partitions it asks for, instead of spreading all partitions over the group
+   * @param {Function} getPartitions - Returns the partitions this member wants
+   * @return {Function} - A KafkaJS partition assigner
+   */
+  static createAssigner(getPartitions) {
+    return ({ cluster }) => ({
+      name: 'VnodePartitionAssigner',
+      version: 1,
+
+      async assign({ members, topics }) {
+        const taken = new Set();
+
+        return members.map(({ memberId, memberMetadata }) => {
+          const { userData } = MemberMetadata.decode(memberMetadata);
+          const wanted = userData && userData.length > 0 ? JSON.parse(userData.toString()) : [];
+
+          const assignment = {};
+          for (const topic of topics) {
+            const available = new Set(cluster.findTopicPartitionMetadata(topic).map(m => m.partitionId));
+            assignment[topic] = wanted.filter(partition => {
+              const key = `${topic}:${partition}`;
+              if (!available.has(partition) || taken.has(key)) return false;
+              taken.add(key);
+              return true;
+            });
+          }
+
+          return {
+            memberId,
+            memberAssignment: MemberAssignment.encode({ version: this.version, assignment })
+          };
+        });
+      },
+
+      protocol({ topics }) {
+        return {
+          name: this.name,
+          metadata: MemberMetadata.encode({
+            version: this.version,
+            topics,
+            userData: Buffer.from(JSON.stringify(getPartitions()))
+          })
+        };
+      }
+    });
+  }
+}
+
+module.exports = VnodePartitions;
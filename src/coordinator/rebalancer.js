@@ -0,0 +1,238 @@
+/**
+ * Plans vnode moves that even out load across instances in proportion to their weight
+ */
+class Rebalancer {
+  /**
+   * Computes a rebalance plan without changing anything.
+   * Each vnode costs its online user count plus one, so empty vnodes are
+   * still spread out. Moves go from the most overloaded instance to the most
+   * underloaded one until every instance is within the tolerance of its
+   * weighted target or the move limit is reached.
+   * @param {Object} params - Planning inputs
+   * @param {Object} params.vnodeOwners - Map of vnodeId to instanceId
+   * @param {Object} params.vnodeLoads - Map of vnodeId to online user count
+   * @param {Object} params.nodeWeights - Map of instanceId to weight, for every eligible instance
+   * @param {number} params.maxMoves - Maximum number of vnodes to move
+   * @param {number} params.tolerance - Allowed deviation from the target as a fraction
+   * @return {Object} - The planned moves and per-instance stats before and after
+   */
+  static plan({ vnodeOwners, vnodeLoads, nodeWeights, maxMoves, tolerance = 0.1 }) {
+    const instances = {};
+    for (const [instanceId, weight] of Object.entries(nodeWeights)) {
+      instances[instanceId] = { weight: weight > 0 ? weight : 1, cost: 0, vnodes: [] };
+    }
+
+    let totalCost = 0;
+    for (const [vnodeKey, instanceId] of Object.entries(vnodeOwners)) {
+      const vnodeId = parseInt(vnodeKey, 10);
+      const cost = (vnodeLoads[vnodeId] || 0) + 1;
+      totalCost += cost;
+
+      // Vnodes of ineligible instances count towards the total but never move
+      if (!instances[instanceId]) continue;
+      instances[instanceId].cost += cost;
+      instances[instanceId].vnodes.push({ vnodeId, cost });
+    }
+
+    const totalWeight = Object.values(instances).reduce((sum, instance) => sum + instance.weight, 0);
+    for (const instance of Object.values(instances)) {
+      instance.target = totalWeight > 0 ? totalCost * instance.weight / totalWeight : 0;
+    }
+
+    const before = Rebalancer._summarize(instances);
+    const moves = [];
+
+    while (moves.length < maxMoves) {
+      const ranked = Object.entries(instances)
+        .map(([instanceId, instance]) => ({ instanceId, instance, delta: instance.cost - instance.target }))
+        .sort((a, b) => b.delta - a.delta);
+      if (ranked.length < 2) break;
+
+      const source = ranked[0];
+      const destination = ranked[ranked.length - 1];
+      if (source.delta <= source.instance.target * tolerance) break;
+
+      // Move the largest vnode that does not overshoot either side
+      const limit = Math.min(source.delta, -destination.delta);
+      const candidates = source.instance.vnodes
+        .filter(vnode => vnode.cost <= limit)
+        .sort((a, b) => b.cost - a.cost);
+      if (candidates.length === 0) break;
+
+      const vnode = candidates[0];
+      source.instance.vnodes.splice(source.instance.vnodes.indexOf(vnode), 1);
+      source.instance.cost -= vnode.cost;
+      destination.instance.vnodes.push(vnode);
+      destination.instance.cost += vnode.cost;
+
+      moves.push({
+        vnode: vnode.vnodeId,
+        from: source.instanceId,
+        to: destination.instanceId,
+        load: vnode.cost - 1
+      });
+    }
+
+    return {
+      moves,
+      before,
+      after: Rebalancer._summarize(instances)
+    };
+  }
+
+  /**
+   * Spreads the vnodes of a dead instance over the healthy ones. The busiest
+   * vnodes are placed first, each on the instance whose weighted cost stays
+   * lowest after taking it.
+   * @param {Object} params - Planning inputs
+   * @param {Array<number>} params.vnodes - The orphaned vnodes
+   * @param {Object} params.vnodeOwners - Map of vnodeId to instanceId
+   * @param {Object} params.vnodeLoads - Map of vnodeId to online user count
+   * @param {Object} params.nodeWeights - Map of instanceId to weight, for every healthy instance
+   * @return {Object} - Map of vnodeId to new instanceId, or null if no instance is healthy
+   */
+  static planFailover({ vnodes, vnodeOwners, vnodeLoads, nodeWeights }) {
+    const costs = {};
+    for (const instanceId of Object.keys(nodeWeights)) {
+      costs[instanceId] = 0;
+    }
+    for (const [vnodeId, instanceId] of Object.entries(vnodeOwners)) {
+      if (instanceId in costs) {
+        costs[instanceId] += (vnodeLoads[vnodeId] || 0) + 1;
+      }
+    }
+
+    const healthy = Object.keys(costs);
+    const sorted = [...vnodes].sort((a, b) => (vnodeLoads[b] || 0) - (vnodeLoads[a] || 0));
+
+    return sorted.reduce((acc, vnodeId) => {
+      const cost = (vnodeLoads[vnodeId] || 0) + 1;
+      let best = null;
+      for (const instanceId of healthy) {
+        const weight = nodeWeights[instanceId] > 0 ? nodeWeights[instanceId] : 1;
+        const score = (costs[instanceId] + cost) / weight;
+        if (best === null || score < best.score) {
+          best = { instanceId, score };
+        }
+      }
+
+      acc[vnodeId] = best ? best.instanceId : null;
+      if (best) {
+        costs[best.instanceId] += cost;
+      }
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Plans the ownership of a ring with a different vnode count. Each new
+   * vnode goes to the instance already holding most of its online users,
+   * so few users have to reconnect. Vnodes with no online users are then
+   * spread over the instances like failed-over vnodes.
+   * @param {Object} params - Planning inputs
+   * @param {ConsistentHash} params.ring - Hash ring built with the new vnode count
+   * @param {Object} params.nodeUsers - Map of instanceId to the userIds connected to it
+   * @param {Object} params.nodeWeights - Map of instanceId to weight, for every eligible instance
+   * @return {Object} - Assignments for the new ring, and which users move between instances
+   */
+  static planResize({ ring, nodeUsers, nodeWeights }) {
+    // Count, per new vnode, how many of its users each instance holds today
+    const votes = {};
+    const vnodeLoads = {};
+    for (const [instanceId, userIds] of Object.entries(nodeUsers)) {
+      for (const userId of userIds) {
+        const vnodeId = ring.getUserVnode(userId);
+        votes[vnodeId] = votes[vnodeId] || {};
+        votes[vnodeId][instanceId] = (votes[vnodeId][instanceId] || 0) + 1;
+        vnodeLoads[vnodeId] = (vnodeLoads[vnodeId] || 0) + 1;
+      }
+    }
+
+    const assignments = {};
+    for (const [vnodeId, counts] of Object.entries(votes)) {
+      const candidates = Object.entries(counts)
+        .filter(([instanceId]) => instanceId in nodeWeights)
+        .sort((a, b) => b[1] - a[1]);
+      if (candidates.length > 0) {
+        assignments[vnodeId] = candidates[0][0];
+      }
+    }
+
+    const unassigned = [];
+    for (let vnodeId = 0; vnodeId < ring.vnodeCount; vnodeId++) {
+      if (!assignments[vnodeId]) unassigned.push(vnodeId);
+    }
+    Object.assign(assignments, Rebalancer.planFailover({
+      vnodes: unassigned,
+      vnodeOwners: assignments,
+      vnodeLoads,
+      nodeWeights
+    }));
+
+    // Users whose new vnode lands on another instance have to reconnect
+    const moves = {};
+    let movingUsers = 0;
+    let totalUsers = 0;
+    for (const [instanceId, userIds] of Object.entries(nodeUsers)) {
+      for (const userId of userIds) {
+        totalUsers++;
+        const to = assignments[ring.getUserVnode(userId)];
+        if (to === instanceId) continue;
+
+        movingUsers++;
+        const key = `${instanceId}->${to}`;
+        moves[key] = moves[key] || { from: instanceId, to, users: 0 };
+        moves[key].users++;
+      }
+    }
+
+    const instances = {};
+    for (const [vnodeId, instanceId] of Object.entries(assignments)) {
+      if (!instanceId) continue;
+      instances[instanceId] = instances[instanceId] || { vnodes: 0, load: 0 };
+      instances[instanceId].vnodes++;
+      instances[instanceId].load += vnodeLoads[vnodeId] || 0;
+    }
+
+    return {
+      vnodeCount: ring.vnodeCount,
+      assignments,
+      users: { total: totalUsers, moving: movingUsers },
+      moves: Object.values(moves),
+      instances
+    };
+  }
+
+  /**
+   * Converts a rebalance plan into an ownership change
+   * @param {Object} plan - Plan returned by Rebalancer.plan
+   * @return {Object} - Map of vnodeId to new instanceId
+   */
+  static toAssignments(plan) {
+    return plan.moves.reduce((acc, move) => {
+      acc[move.vnode] = move.to;
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Builds per-instance stats for a plan response
+   * @private
+   * @param {Object} instances - Working state keyed by instanceId
+   * @return {Object} - Map of instanceId to { vnodes, load, target, weight }
+   */
+  static _summarize(instances) {
+    return Object.entries(instances).reduce((acc, [instanceId, instance]) => {
+      acc[instanceId] = {
+        weight: instance.weight,
+        vnodes: instance.vnodes.length,
+        load: instance.vnodes.reduce((sum, vnode) => sum + vnode.cost - 1, 0),
+        cost: instance.cost,
+        target: Math.round(instance.target)
+      };
+      return acc;
+    }, {});
+  }
+}
+
+module.exports = Rebalancer;
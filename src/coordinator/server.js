@@ -1,8 +1,14 @@
 const express = require('express');
-const { Kafka } = require('kafkajs');
 const ConsistentHash = require('../common/consistent-hash');
 const redisClient = require('../common/redis-client');
 const Auth = require('../common/auth');
+const Presence = require('../common/presence');
+const Rebalancer = require('./rebalancer');
+const VnodePartitions = require('../common/vnode-partitions');
+const StatusEvent = require('../common/status-event');
+const EventBus = require('../common/event-bus');
+const EventOutbox = require('../common/event-outbox');
+const PresenceSnapshot = require('../common/presence-snapshot');
 const config = require('../common/config');
 const logger = require('../common/logger');
 
@@ -10,16 +16,129 @@ const logger = require('../common/logger');
 const app = express();
 app.use(express.json());
 
-// Initialize Kafka producer
-const kafka = new Kafka({
-  clientId: `coordinator-${config.nodeId}`,
-  brokers: config.kafkaBrokers
-});
+// Initialize the event bus (Kafka, Redis Streams or in-process, by EVENT_BUS)
+const bus = EventBus.create(`coordinator-${config.nodeId}`);
+
+// Offline events of failed nodes wait here until the bus takes them
+const outbox = new EventOutbox(
+  topicMessages => bus.send(topicMessages),
+  { name: `coordinator-${config.nodeId}` }
+);
+
+// Latest presence of every user, kept up to date from the compacted state topic
+const presenceSnapshot = new PresenceSnapshot(bus, `presence-state-coordinator-${config.nodeId}`);
+
+// Hash ring in use, built on startup with the vnode count stored in Redis
+let consistentHash = null;
+
+// How users map to vnodes, stored in Redis by the first service of the cluster
+let hashStrategy = config.hashStrategy;
+
+// Ring with the vnode count being moved to while a resize is in progress
+let nextHash = null;
+
+// Ring epoch the local mappings correspond to, returned with every route so
+// nodes can turn away clients routed against an older ring
+let ringEpoch = 0;
+
+// HTTP server and lease sweep, set up by start()
+let server = null;
+let leaseSweepInterval = null;
+
+// Advance the local ring epoch, ignoring announcements that arrive out of order
+function observeRingEpoch(epoch) {
+  if (Number.isInteger(epoch) && epoch > ringEpoch) {
+    ringEpoch = epoch;
+  }
+}
 
-const producer = kafka.producer();
+// Write vnode ownership changes to Redis, apply them locally and announce them
+// to every node and coordinator replica. A null owner releases the vnode.
+async function applyOwnershipChange(assignments, ring = consistentHash) {
+  const owned = {};
+  const released = [];
+  for (const [vnodeId, instanceId] of Object.entries(assignments)) {
+    if (instanceId) {
+      owned[vnodeId] = instanceId;
+    } else {
+      released.push(vnodeId);
+    }
+  }
+  
+  const epoch = await redisClient.commitOwnershipChange(ring.vnodeCount, owned, released);
+  ring.applyAssignments(assignments);
+  observeRingEpoch(epoch);
+  
+  // Cached routes on these vnodes point at the old owners
+  await redisClient.invalidateVnodeRoutes(ring.vnodeCount, Object.keys(assignments));
+  
+  // Include the new owners' addresses so nodes can hand clients over directly
+  const nodeInfo = await redisClient.getAllNodeInfo();
+  const addresses = {};
+  for (const instanceId of new Set(Object.values(owned))) {
+    addresses[instanceId] = nodeInfo[instanceId] ? nodeInfo[instanceId].address : instanceId;
+  }
+  
+  await redisClient.publishOwnershipChange({
+    vnodeCount: ring.vnodeCount,
+    assignments,
+    addresses,
+    epoch,
+    timestamp: Date.now()
+  });
+}
 
-// Initialize consistent hash ring
-const consistentHash = new ConsistentHash(config.vnodeCount);
+// Get the weight of every instance that may take on vnodes: registered,
+// holding a live lease and not being drained
+async function getEligibleNodeWeights() {
+  const [nodeInfo, drainingNodes] = await Promise.all([
+    redisClient.getAllNodeInfo(),
+    redisClient.getDrainingNodes()
+  ]);
+  
+  const instanceIds = Object.keys(nodeInfo).filter(instanceId => !drainingNodes.includes(instanceId));
+  const leases = await redisClient.getNodeLeases(instanceIds);
+  
+  return instanceIds.reduce((acc, instanceId) => {
+    if (leases[instanceId]) {
+      acc[instanceId] = nodeInfo[instanceId].weight || 1;
+    }
+    return acc;
+  }, {});
+}
+
+// Rings that ownership changes must cover: the one in use and, while a
+// resize is in progress, the one being moved to
+function activeRings() {
+  return nextHash ? [consistentHash, nextHash] : [consistentHash];
+}
+
+// Find the active ring built with a given vnode count
+function ringFor(vnodeCount) {
+  return activeRings().find(ring => ring.vnodeCount === vnodeCount) || null;
+}
+
+// Hand an instance's vnodes on a ring to the given instances by weight and
+// load, or release them when no instance is given
+async function reassignInstanceVnodes(ring, instanceId, nodeWeights = {}) {
+  const [vnodeOwners, vnodeLoads] = await Promise.all([
+    redisClient.getAllVnodeOwners(ring.vnodeCount),
+    redisClient.getAllVnodeLoads(ring.vnodeCount)
+  ]);
+  
+  const vnodes = Object.entries(vnodeOwners)
+    .filter(([_, owner]) => owner === instanceId)
+    .map(([vnodeId]) => parseInt(vnodeId, 10));
+  if (vnodes.length === 0) return {};
+  
+  const assignments = Rebalancer.planFailover({ vnodes, vnodeOwners, vnodeLoads, nodeWeights });
+  await applyOwnershipChange(assignments, ring);
+  
+  // The loads counted the instance's own users, left alone they would skew
+  // rebalancing until the new owners report theirs
+  await redisClient.removeVnodeLoads(ring.vnodeCount, vnodes);
+  return assignments;
+}
 
 // Middleware to log requests
 app.use((req, res, next) => {
@@ -30,6 +149,23 @@ app.use((req, res, next) => {
   next();
 });
 
+// Readiness probe, ready once presence has been rebuilt from the state topic
+app.get('/ready', (req, res) => {
+  const progress = presenceSnapshot.getProgress();
+  res.status(progress.ready ? 200 : 503).json(progress);
+});
+
+// Turn presence lookups away until presence has been rebuilt
+function requireReady(req, res, next) {
+  if (!presenceSnapshot.isReady()) {
+    return res.status(503).json({
+      error: 'Presence is still being rebuilt',
+      progress: presenceSnapshot.getProgress()
+    });
+  }
+  next();
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'ok' });
@@ -38,21 +174,63 @@ app.get('/health', (req, res) => {
 // Register a WebSocket node
 app.post('/nodes/register', async (req, res) => {
   try {
-    const { instanceId, weight = 1 } = req.body;
+    const { instanceId, weight = 1, address, vnodes } = req.body;
     
     if (!instanceId) {
       return res.status(400).json({ error: 'instanceId is required' });
     }
+    if (vnodes !== undefined && (!Array.isArray(vnodes) ||
+        !vnodes.every(vnodeId => Number.isInteger(vnodeId) && vnodeId >= 0 && vnodeId < consistentHash.vnodeCount))) {
+      return res.status(400).json({ error: `vnodes must be vnode ids below ${consistentHash.vnodeCount}` });
+    }
     
-    // Assign virtual nodes based on weight
-    const vnodeCount = Math.max(1, Math.floor(config.vnodeCount * weight / 100));
+    // Record where clients can reach the instance, and grant a lease
+    // that lasts until its first heartbeat
+    await redisClient.setNodeInfo(instanceId, { address: address || instanceId, weight });
+    await redisClient.renewNodeLease(instanceId, config.nodeLeaseTtl);
     
     // Get current vnode mappings
-    const currentVnodeMap = await redisClient.getAllVnodeOwners();
+    const currentVnodeMap = await redisClient.getAllVnodeOwners(consistentHash.vnodeCount);
+    
+    // A restarted instance keeps the vnodes it already owns
+    const ownedVnodes = Object.entries(currentVnodeMap)
+      .filter(([_, instance]) => instance === instanceId)
+      .map(([vnodeId]) => parseInt(vnodeId, 10));
+    
+    // A draining instance keeps what it has left but gets nothing new
+    const drainingNodes = await redisClient.getDrainingNodes();
+    const draining = drainingNodes.includes(instanceId);
+    
+    // An instance with fixed vnodes (ASSIGNED_VNODES) claims those that are
+    // free, vnodes failed over or moved to other instances stay with them
+    if (vnodes !== undefined) {
+      const claimed = draining ? [] : vnodes.filter(vnodeId => !currentVnodeMap[vnodeId]);
+      if (claimed.length > 0) {
+        await applyOwnershipChange(Object.fromEntries(claimed.map(vnodeId => [vnodeId, instanceId])));
+      }
+      
+      const assigned = [...new Set([...ownedVnodes, ...claimed])].sort((a, b) => a - b);
+      logger.info(`Node ${instanceId} registered with ${assigned.length} of its ${vnodes.length} fixed vnodes`);
+      return res.status(claimed.length > 0 ? 201 : 200).json({
+        instanceId,
+        assignedVnodes: assigned
+      });
+    }
+    
+    if (ownedVnodes.length > 0 || draining) {
+      logger.info(`Node ${instanceId} re-registered with ${ownedVnodes.length} vnodes`);
+      return res.json({
+        instanceId,
+        assignedVnodes: ownedVnodes
+      });
+    }
+    
+    // Assign virtual nodes based on weight
+    const vnodeCount = Math.max(1, Math.floor(consistentHash.vnodeCount * weight / 100));
     const availableVnodes = [];
     
     // Find available vnodes
-    for (let i = 0; i < config.vnodeCount; i++) {
+    for (let i = 0; i < consistentHash.vnodeCount; i++) {
       if (!currentVnodeMap[i]) {
         availableVnodes.push(i);
         if (availableVnodes.length >= vnodeCount) break;
@@ -69,9 +247,8 @@ app.post('/nodes/register', async (req, res) => {
       vnodeMappings[vnodeId] = instanceId;
     }
     
-    // Update Redis and local cache
-    await redisClient.updateVnodeOwners(vnodeMappings);
-    consistentHash.updateVnodeMappings(vnodeMappings);
+    // Update Redis and local cache, and tell everyone
+    await applyOwnershipChange(vnodeMappings);
     
     logger.info(`Registered node ${instanceId} with ${availableVnodes.length} vnodes`);
     
@@ -94,42 +271,577 @@ app.post('/nodes/unregister', async (req, res) => {
       return res.status(400).json({ error: 'instanceId is required' });
     }
     
-    // Get current vnode mappings
-    const currentVnodeMap = await redisClient.getAllVnodeOwners();
-    const vnodesToRemove = Object.entries(currentVnodeMap)
-      .filter(([_, instance]) => instance === instanceId)
-      .map(([vnodeId]) => vnodeId);
+    // The instance is no longer reachable either way
+    await redisClient.removeNodeInfo(instanceId);
+    await redisClient.removeNodeLease(instanceId);
+    await redisClient.setNodeDraining(instanceId, false);
     
-    if (vnodesToRemove.length === 0) {
+    // Fail its vnodes over to healthy instances as if its lease had expired,
+    // so its users can route again right away. The next ring of a resize in
+    // progress gets the same treatment.
+    const healthyWeights = await getEligibleNodeWeights();
+    let assignments = {};
+    let moved = 0;
+    for (const ring of activeRings()) {
+      const ringAssignments = await reassignInstanceVnodes(ring, instanceId, healthyWeights);
+      moved += Object.keys(ringAssignments).length;
+      if (ring === consistentHash) {
+        assignments = ringAssignments;
+      }
+    }
+    
+    if (moved === 0) {
       return res.status(404).json({ error: 'No vnodes found for this instance' });
     }
     
-    // Remove the instance from vnodes in Redis
-    const pipeline = redisClient.client.pipeline();
-    for (const vnodeId of vnodesToRemove) {
-      pipeline.hdel(redisClient.VNODE_OWNERS_KEY, vnodeId);
+    logger.info(`Unregistered node ${instanceId}, failed over ${moved} vnodes`);
+    
+    res.json({
+      instanceId,
+      removedVnodes: Object.keys(assignments),
+      assignments
+    });
+  } catch (error) {
+    logger.error('Error unregistering node', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Move one vnode to a named instance
+app.post('/vnodes/:id/move', Auth.authenticate, Auth.authorizeAdmin, async (req, res) => {
+  try {
+    const vnodeId = Number(req.params.id);
+    const { instanceId } = req.body;
+    
+    if (!Number.isInteger(vnodeId) || vnodeId < 0 || vnodeId >= consistentHash.vnodeCount) {
+      return res.status(400).json({ error: `vnode id must be an integer between 0 and ${consistentHash.vnodeCount - 1}` });
+    }
+    
+    if (!instanceId) {
+      return res.status(400).json({ error: 'instanceId is required' });
     }
-    await pipeline.exec();
     
-    // Update local cache
+    const [vnodeOwners, vnodeLoads] = await Promise.all([
+      redisClient.getAllVnodeOwners(consistentHash.vnodeCount),
+      redisClient.getAllVnodeLoads(consistentHash.vnodeCount)
+    ]);
+    const from = vnodeOwners[vnodeId] || null;
+    
+    // Moving a vnode to its current owner is a no-op
+    if (from === instanceId) {
+      return res.json({ vnode: vnodeId, from, to: instanceId, moved: false, load: vnodeLoads[vnodeId] || 0 });
+    }
+    
+    const eligibleWeights = await getEligibleNodeWeights();
+    if (!eligibleWeights[instanceId]) {
+      return res.status(409).json({ error: `Instance ${instanceId} is unknown, unhealthy or draining` });
+    }
+    
+    await applyOwnershipChange({ [vnodeId]: instanceId });
+    logger.info(`Moved vnode ${vnodeId} from ${from} to ${instanceId}`);
+    
+    // Users of the vnode now migrate over the drain window
+    res.json({
+      vnode: vnodeId,
+      from,
+      to: instanceId,
+      moved: true,
+      load: vnodeLoads[vnodeId] || 0,
+      drainWindow: config.migrationDrainWindow
+    });
+  } catch (error) {
+    logger.error('Error moving vnode', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Report how far draining an instance has progressed
+async function getDrainProgress(instanceId) {
+  const [vnodeOwners, drainingNodes, connectedUsers] = await Promise.all([
+    redisClient.getAllVnodeOwners(consistentHash.vnodeCount),
+    redisClient.getDrainingNodes(),
+    redisClient.countNodeUsers(instanceId)
+  ]);
+  
+  const remainingVnodes = Object.values(vnodeOwners).filter(owner => owner === instanceId).length;
+  
+  return {
+    instanceId,
+    draining: drainingNodes.includes(instanceId),
+    remainingVnodes,
+    connectedUsers,
+    complete: remainingVnodes === 0 && connectedUsers === 0
+  };
+}
+
+// Move all of an instance's vnodes away ahead of maintenance
+app.post('/nodes/:instanceId/drain', Auth.authenticate, Auth.authorizeAdmin, async (req, res) => {
+  try {
+    const { instanceId } = req.params;
+    
+    const [vnodeOwners, vnodeLoads, nodeInfo] = await Promise.all([
+      redisClient.getAllVnodeOwners(consistentHash.vnodeCount),
+      redisClient.getAllVnodeLoads(consistentHash.vnodeCount),
+      redisClient.getNodeInfo(instanceId)
+    ]);
+    
+    const vnodes = Object.entries(vnodeOwners)
+      .filter(([_, owner]) => owner === instanceId)
+      .map(([vnodeId]) => parseInt(vnodeId, 10));
+    
+    if (!nodeInfo && vnodes.length === 0) {
+      return res.status(404).json({ error: `Instance ${instanceId} is unknown` });
+    }
+    
+    // Stop the instance from receiving vnodes before planning where its own go
+    await redisClient.setNodeDraining(instanceId, true);
+    
+    let moves = [];
+    if (vnodes.length > 0) {
+      const eligibleWeights = await getEligibleNodeWeights();
+      if (Object.keys(eligibleWeights).length === 0) {
+        await redisClient.setNodeDraining(instanceId, false);
+        return res.status(409).json({ error: 'No healthy instance can take over the vnodes' });
+      }
+      
+      const assignments = Rebalancer.planFailover({
+        vnodes,
+        vnodeOwners,
+        vnodeLoads,
+        nodeWeights: eligibleWeights
+      });
+      await applyOwnershipChange(assignments);
+      
+      moves = Object.entries(assignments).map(([vnodeId, to]) => ({
+        vnode: parseInt(vnodeId, 10),
+        to,
+        load: vnodeLoads[vnodeId] || 0
+      }));
+      logger.info(`Draining node ${instanceId}, moved ${moves.length} vnodes`);
+    }
+    
+    // Keep the instance out of the ring being resized to as well
+    if (nextHash) {
+      await reassignInstanceVnodes(nextHash, instanceId, await getEligibleNodeWeights());
+    }
+    
+    res.json({
+      ...await getDrainProgress(instanceId),
+      moves,
+      drainWindow: config.migrationDrainWindow
+    });
+  } catch (error) {
+    logger.error('Error draining node', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Check on a drain started with POST /nodes/:instanceId/drain
+app.get('/nodes/:instanceId/drain', Auth.authenticate, Auth.authorizeAdmin, async (req, res) => {
+  try {
+    res.json(await getDrainProgress(req.params.instanceId));
+  } catch (error) {
+    logger.error('Error getting drain progress', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// End a drain once the maintenance is over. The instance gets no vnodes back
+// by itself, the next rebalance moves some to it.
+app.delete('/nodes/:instanceId/drain', Auth.authenticate, Auth.authorizeAdmin, async (req, res) => {
+  try {
+    const { instanceId } = req.params;
+    
+    const drainingNodes = await redisClient.getDrainingNodes();
+    if (!drainingNodes.includes(instanceId)) {
+      return res.status(404).json({ error: `Instance ${instanceId} is not being drained` });
+    }
+    
+    await redisClient.setNodeDraining(instanceId, false);
+    logger.info(`Node ${instanceId} is no longer draining`);
+    
+    res.json(await getDrainProgress(instanceId));
+  } catch (error) {
+    logger.error('Error ending drain', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Move vnodes from overloaded to underloaded instances, or just show the plan.
+// maxMoves can lower REBALANCE_MAX_MOVES for one call, never raise it.
+app.post('/rebalance', Auth.authenticate, Auth.authorizeAdmin, async (req, res) => {
+  try {
+    const { dryRun = true, maxMoves: requestedMoves = config.rebalanceMaxMoves } = req.body;
+    
+    if (typeof dryRun !== 'boolean') {
+      return res.status(400).json({ error: 'dryRun must be a boolean' });
+    }
+    if (!Number.isInteger(requestedMoves) || requestedMoves < 1) {
+      return res.status(400).json({ error: 'maxMoves must be a positive integer' });
+    }
+    const maxMoves = Math.min(requestedMoves, config.rebalanceMaxMoves);
+    
+    const [vnodeOwners, vnodeLoads, nodeWeights] = await Promise.all([
+      redisClient.getAllVnodeOwners(consistentHash.vnodeCount),
+      redisClient.getAllVnodeLoads(consistentHash.vnodeCount),
+      getEligibleNodeWeights()
+    ]);
+    
+    const plan = Rebalancer.plan({
+      vnodeOwners,
+      vnodeLoads,
+      nodeWeights,
+      maxMoves,
+      tolerance: config.rebalanceTolerance
+    });
+    
+    if (!dryRun && plan.moves.length > 0) {
+      await applyOwnershipChange(Rebalancer.toAssignments(plan));
+      logger.info(`Rebalanced ${plan.moves.length} vnodes`, { moves: plan.moves });
+    }
+    
+    res.json({
+      dryRun,
+      applied: !dryRun && plan.moves.length > 0,
+      ...plan
+    });
+  } catch (error) {
+    logger.error('Error rebalancing vnodes', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List instances with their vnode counts, load, weight and last heartbeat
+app.get('/nodes', Auth.authenticate, Auth.authorizeAdmin, async (req, res) => {
+  try {
+    const [vnodeLoads, nodeInfo] = await Promise.all([
+      redisClient.getAllVnodeLoads(consistentHash.vnodeCount),
+      redisClient.getAllNodeInfo()
+    ]);
+    
+    const nodes = {};
+    const getNode = (instanceId) => {
+      if (!nodes[instanceId]) {
+        const info = nodeInfo[instanceId] || {};
+        nodes[instanceId] = {
+          instanceId,
+          address: info.address || null,
+          weight: info.weight || null,
+          invalidEvents: info.invalidEvents || 0,
+          staleEvents: info.staleEvents || 0,
+          outbox: info.outbox || null,
+          vnodes: 0,
+          load: 0
+        };
+      }
+      return nodes[instanceId];
+    };
+    
+    Object.keys(nodeInfo).forEach(getNode);
+    for (const [vnodeId, instanceId] of Object.entries(consistentHash.getVnodeMap())) {
+      const node = getNode(instanceId);
+      node.vnodes++;
+      node.load += vnodeLoads[vnodeId] || 0;
+    }
+    
+    const [leases, drainingNodes] = await Promise.all([
+      redisClient.getNodeLeases(Object.keys(nodes)),
+      redisClient.getDrainingNodes()
+    ]);
+    for (const node of Object.values(nodes)) {
+      node.lastHeartbeat = leases[node.instanceId];
+      node.healthy = leases[node.instanceId] !== null;
+      node.draining = drainingNodes.includes(node.instanceId);
+    }
+    
+    res.json({ nodes: Object.values(nodes) });
+  } catch (error) {
+    logger.error('Error listing nodes', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Show the full vnode -> instance -> load table
+app.get('/vnodes', Auth.authenticate, Auth.authorizeAdmin, async (req, res) => {
+  try {
     const vnodeMap = consistentHash.getVnodeMap();
-    for (const vnodeId of vnodesToRemove) {
-      delete vnodeMap[vnodeId];
+    const vnodeLoads = await redisClient.getAllVnodeLoads(consistentHash.vnodeCount);
+    
+    const vnodes = [];
+    for (let vnodeId = 0; vnodeId < consistentHash.vnodeCount; vnodeId++) {
+      vnodes.push({
+        vnode: vnodeId,
+        instance: vnodeMap[vnodeId] || null,
+        load: vnodeLoads[vnodeId] || 0
+      });
     }
-    consistentHash.updateVnodeMappings(vnodeMap);
     
-    logger.info(`Unregistered node ${instanceId}, removed ${vnodesToRemove.length} vnodes`);
+    res.json({
+      vnodeCount: consistentHash.vnodeCount,
+      nextVnodeCount: nextHash ? nextHash.vnodeCount : null,
+      assigned: Object.keys(vnodeMap).length,
+      vnodes
+    });
+  } catch (error) {
+    logger.error('Error listing vnodes', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the address clients use for every registered instance
+async function getInstanceAddresses() {
+  const nodeInfo = await redisClient.getAllNodeInfo();
+  return Object.entries(nodeInfo).reduce((acc, [instanceId, info]) => {
+    acc[instanceId] = info.address;
+    return acc;
+  }, {});
+}
+
+// Get the users connected to each known instance
+async function getNodeUsersByInstance() {
+  const nodeInfo = await redisClient.getAllNodeInfo();
+  const instanceIds = Object.keys(nodeInfo);
+  const userLists = await Promise.all(instanceIds.map(instanceId => redisClient.getNodeUsers(instanceId)));
+  
+  return instanceIds.reduce((acc, instanceId, index) => {
+    acc[instanceId] = userLists[index];
+    return acc;
+  }, {});
+}
+
+// Count the connected users that are not yet on their owner in the next ring
+async function getResizeProgress() {
+  const nodeUsers = await getNodeUsersByInstance();
+  
+  let total = 0;
+  let pending = 0;
+  for (const [instanceId, userIds] of Object.entries(nodeUsers)) {
+    for (const userId of userIds) {
+      total++;
+      if (nextHash.getInstanceForUser(userId) !== instanceId) pending++;
+    }
+  }
+  
+  return {
+    vnodeCount: nextHash.vnodeCount,
+    assigned: Object.keys(nextHash.getVnodeMap()).length,
+    users: total,
+    pendingUsers: pending
+  };
+}
+
+// Show the vnode count in use and any resize in progress
+app.get('/ring', Auth.authenticate, Auth.authorizeAdmin, async (req, res) => {
+  try {
+    res.json({
+      vnodeCount: consistentHash.vnodeCount,
+      hashStrategy: consistentHash.strategy,
+      epoch: ringEpoch,
+      resize: nextHash ? await getResizeProgress() : null
+    });
+  } catch (error) {
+    logger.error('Error getting ring', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Plan a change of the vnode count, and unless dryRun start the transition:
+// the next ring is assigned, nodes accept users on either ring and new
+// routes use the next ring until POST /ring/resize/cutover
+app.post('/ring/resize', Auth.authenticate, Auth.authorizeAdmin, async (req, res) => {
+  try {
+    const { vnodeCount, dryRun = true } = req.body;
+    
+    if (!Number.isInteger(vnodeCount) || vnodeCount < 1) {
+      return res.status(400).json({ error: 'vnodeCount must be a positive integer' });
+    }
+    
+    if (typeof dryRun !== 'boolean') {
+      return res.status(400).json({ error: 'dryRun must be a boolean' });
+    }
+    
+    if (vnodeCount === consistentHash.vnodeCount) {
+      return res.status(400).json({ error: `The ring already has ${vnodeCount} vnodes` });
+    }
+    
+    if (nextHash) {
+      return res.status(409).json({ error: `A resize to ${nextHash.vnodeCount} vnodes is already in progress` });
+    }
+    
+    const [nodeUsers, nodeWeights] = await Promise.all([
+      getNodeUsersByInstance(),
+      getEligibleNodeWeights()
+    ]);
+    
+    if (Object.keys(nodeWeights).length === 0) {
+      return res.status(409).json({ error: 'No healthy instance can take vnodes' });
+    }
+    
+    const ring = new ConsistentHash(vnodeCount, hashStrategy);
+    const plan = Rebalancer.planResize({ ring, nodeUsers, nodeWeights });
+    
+    if (!dryRun) {
+      const owners = Object.entries(plan.assignments).reduce((acc, [vnodeId, instanceId]) => {
+        if (instanceId) acc[vnodeId] = instanceId;
+        return acc;
+      }, {});
+      
+      const epoch = await redisClient.startRingResize(vnodeCount, owners);
+      ring.updateVnodeMappings(owners);
+      nextHash = ring;
+      observeRingEpoch(epoch);
+      
+      await redisClient.publishRingChange({
+        phase: 'prepare',
+        vnodeCount: consistentHash.vnodeCount,
+        nextVnodeCount: vnodeCount,
+        epoch,
+        timestamp: Date.now()
+      });
+      logger.info(`Started resize from ${consistentHash.vnodeCount} to ${vnodeCount} vnodes`, {
+        movingUsers: plan.users.moving
+      });
+    }
     
     res.json({
-      instanceId,
-      removedVnodes: vnodesToRemove
+      dryRun,
+      started: !dryRun,
+      previousVnodeCount: consistentHash.vnodeCount,
+      vnodeCount,
+      users: plan.users,
+      moves: plan.moves,
+      instances: plan.instances
     });
   } catch (error) {
-    logger.error('Error unregistering node', { error: error.message });
+    logger.error('Error resizing ring', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Finish a resize: the next ring becomes the one in use and nodes hand
+// users they no longer own over to the new owners
+app.post('/ring/resize/cutover', Auth.authenticate, Auth.authorizeAdmin, async (req, res) => {
+  try {
+    if (!nextHash) {
+      return res.status(409).json({ error: 'No resize is in progress' });
+    }
+    
+    const assigned = Object.keys(nextHash.getVnodeMap()).length;
+    if (assigned < nextHash.vnodeCount) {
+      return res.status(409).json({
+        error: `${nextHash.vnodeCount - assigned} vnodes of the next ring have no owner`
+      });
+    }
+    
+    const progress = await getResizeProgress();
+    const previousVnodeCount = consistentHash.vnodeCount;
+    const vnodeCount = nextHash.vnodeCount;
+    
+    const epoch = await redisClient.cutoverRing(previousVnodeCount, vnodeCount);
+    consistentHash = nextHash;
+    nextHash = null;
+    observeRingEpoch(epoch);
+    
+    // Routes cached on the old ring point at owners of vnodes that no longer exist
+    await redisClient.invalidateVnodeRoutes(previousVnodeCount, [...Array(previousVnodeCount).keys()]);
+    
+    await redisClient.publishRingChange({
+      phase: 'cutover',
+      vnodeCount,
+      nextVnodeCount: null,
+      addresses: await getInstanceAddresses(),
+      epoch,
+      timestamp: Date.now()
+    });
+    logger.info(`Cut over from ${previousVnodeCount} to ${vnodeCount} vnodes`, {
+      migratingUsers: progress.pendingUsers
+    });
+    
+    res.json({
+      previousVnodeCount,
+      vnodeCount,
+      epoch,
+      migratingUsers: progress.pendingUsers,
+      drainWindow: config.migrationDrainWindow
+    });
+  } catch (error) {
+    logger.error('Error cutting over ring', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Abandon a resize, users already on their next-ring owner move back
+app.delete('/ring/resize', Auth.authenticate, Auth.authorizeAdmin, async (req, res) => {
+  try {
+    if (!nextHash) {
+      return res.status(409).json({ error: 'No resize is in progress' });
+    }
+    
+    const vnodeCount = nextHash.vnodeCount;
+    const epoch = await redisClient.abortRingResize(vnodeCount);
+    nextHash = null;
+    observeRingEpoch(epoch);
+    
+    await redisClient.invalidateVnodeRoutes(vnodeCount, [...Array(vnodeCount).keys()]);
+    
+    await redisClient.publishRingChange({
+      phase: 'abort',
+      vnodeCount: consistentHash.vnodeCount,
+      nextVnodeCount: null,
+      addresses: await getInstanceAddresses(),
+      epoch,
+      timestamp: Date.now()
+    });
+    logger.info(`Aborted resize to ${vnodeCount} vnodes`);
+    
+    res.json({ vnodeCount: consistentHash.vnodeCount, abortedVnodeCount: vnodeCount, epoch });
+  } catch (error) {
+    logger.error('Error aborting ring resize', { error: error.message });
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// Explain how a user gets routed
+app.get('/users/:userId/route-debug', Auth.authenticate, Auth.authorizeAdmin, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const vnodeId = consistentHash.getUserVnode(userId);
+    
+    const [vnodeMap, cacheEntry] = await Promise.all([
+      redisClient.getAllVnodeOwners(consistentHash.vnodeCount),
+      redisClient.getCachedUserInstanceEntry(userId)
+    ]);
+    
+    res.json({
+      userId,
+      vnodeCount: consistentHash.vnodeCount,
+      vnode: vnodeId,
+      owner: consistentHash.getInstanceForVnode(vnodeId),
+      redisOwner: vnodeMap[vnodeId] || null,
+      next: nextHash ? {
+        vnodeCount: nextHash.vnodeCount,
+        vnode: nextHash.getUserVnode(userId),
+        owner: nextHash.getInstanceForUser(userId)
+      } : null,
+      routedBy: routingRing(userId).vnodeCount,
+      cache: cacheEntry.instanceId ? cacheEntry : null
+    });
+  } catch (error) {
+    logger.error('Error debugging route', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Pick the ring a user is routed by. While a resize is in progress new
+// connections already go to their owner on the next ring, so fewer users
+// have to move at cutover.
+function routingRing(userId) {
+  if (nextHash && nextHash.getInstanceForUser(userId)) {
+    return nextHash;
+  }
+  return consistentHash;
+}
+
 // Route a user to an instance
 app.get('/route', async (req, res) => {
   try {
@@ -139,30 +851,36 @@ app.get('/route', async (req, res) => {
       return res.status(400).json({ error: 'userId is required' });
     }
     
-    // First, check if there's a cached mapping
+    const ring = routingRing(userId);
+    const vnodeId = ring.getUserVnode(userId);
+    
+    // First, check if there's a cached mapping. It is only trusted while it
+    // agrees with our view of the ring, which ownership changes keep current.
     const cachedInstance = await redisClient.getCachedUserInstance(userId);
-    if (cachedInstance) {
+    const currentOwner = ring.getInstanceForVnode(vnodeId);
+    if (cachedInstance && (!currentOwner || cachedInstance === currentOwner)) {
       return res.json({
         userId,
-        instance: cachedInstance,
+        vnodeCount: ring.vnodeCount,
+        vnode: vnodeId,
+        instance: await resolveInstanceAddress(cachedInstance),
+        instanceId: cachedInstance,
+        epoch: ringEpoch,
         source: 'cache'
       });
     }
     
-    // If no cache, calculate the vnode
-    const vnodeId = consistentHash.getUserVnode(userId);
-    
     // Check local cache first
-    let instance = consistentHash.getInstanceForVnode(vnodeId);
+    let instance = ring.getInstanceForVnode(vnodeId);
     
     // If not in local cache, check Redis
     if (!instance) {
-      const vnodeMap = await redisClient.getAllVnodeOwners();
+      const vnodeMap = await redisClient.getAllVnodeOwners(ring.vnodeCount);
       instance = vnodeMap[vnodeId];
       
       // Update local cache if found in Redis
       if (instance) {
-        consistentHash.setVnodeMapping(vnodeId, instance);
+        ring.setVnodeMapping(vnodeId, instance);
       }
     }
     
@@ -171,12 +889,15 @@ app.get('/route', async (req, res) => {
     }
     
     // Cache the user->instance mapping
-    await redisClient.cacheUserInstance(userId, instance);
+    await redisClient.cacheUserInstance(userId, instance, ring.vnodeCount, vnodeId);
     
     res.json({
       userId,
+      vnodeCount: ring.vnodeCount,
       vnode: vnodeId,
-      instance,
+      instance: await resolveInstanceAddress(instance),
+      instanceId: instance,
+      epoch: ringEpoch,
       source: 'hash'
     });
   } catch (error) {
@@ -185,48 +906,327 @@ app.get('/route', async (req, res) => {
   }
 });
 
-// Load all vnode mappings from Redis on startup
-async function loadVnodeMappings() {
+// Resolve the address clients should connect to for an instance
+async function resolveInstanceAddress(instanceId) {
+  const nodeInfo = await redisClient.getNodeInfo(instanceId);
+  return nodeInfo && nodeInfo.address ? nodeInfo.address : instanceId;
+}
+
+// Resolve the owning instance for a set of vnodes, falling back to Redis
+// for any vnode missing from the local cache
+async function resolveVnodeOwners(vnodeIds) {
+  const owners = {};
+  const missing = [];
+
+  for (const vnodeId of vnodeIds) {
+    const instance = consistentHash.getInstanceForVnode(vnodeId);
+    if (instance) {
+      owners[vnodeId] = instance;
+    } else {
+      missing.push(vnodeId);
+    }
+  }
+
+  if (missing.length > 0) {
+    const vnodeMap = await redisClient.getAllVnodeOwners(consistentHash.vnodeCount);
+    for (const vnodeId of missing) {
+      owners[vnodeId] = vnodeMap[vnodeId] || null;
+
+      // Update local cache if found in Redis
+      if (owners[vnodeId]) {
+        consistentHash.setVnodeMapping(vnodeId, owners[vnodeId]);
+      }
+    }
+  }
+
+  return owners;
+}
+
+// Fall back to the state topic for users without a presence record in Redis,
+// e.g. once their offline record expired. Only Redis says who is online, so
+// a connected state there only tells when the user was last seen.
+function snapshotRecord(userId) {
+  const record = presenceSnapshot.get(userId);
+  if (!record || record.status === 'invisible') return null;
+  
+  return Presence.isConnectedStatus(record.status)
+    ? { status: 'offline', nodeId: record.nodeId, lastSeen: record.lastSeen }
+    : record;
+}
+
+// Look up presence for a list of users as seen by the viewer, fanning out by vnode
+async function lookupPresence(userIds, viewerId) {
+  // Group users by vnode so each owner is resolved once
+  const usersByVnode = new Map();
+  for (const userId of userIds) {
+    const vnodeId = consistentHash.getUserVnode(userId);
+    if (!usersByVnode.has(vnodeId)) {
+      usersByVnode.set(vnodeId, []);
+    }
+    usersByVnode.get(vnodeId).push(userId);
+  }
+
+  const owners = await resolveVnodeOwners([...usersByVnode.keys()]);
+  const records = await redisClient.getUserPresences(userIds);
+
+  const presences = {};
+  for (const [vnodeId, vnodeUsers] of usersByVnode) {
+    for (const userId of vnodeUsers) {
+      const record = records[userId] || snapshotRecord(userId);
+      const view = Presence.viewFor(record, userId === viewerId);
+      presences[userId] = {
+        userId,
+        ...view,
+        vnode: vnodeId,
+        owner: owners[vnodeId],
+        nodeId: record && view.status !== 'offline' ? record.nodeId : null
+      };
+    }
+  }
+
+  return userIds.map(userId => presences[userId]);
+}
+
+// Look up a single user's presence
+app.get('/presence/:userId', Auth.authenticate, requireReady, async (req, res) => {
   try {
-    const vnodeMap = await redisClient.getAllVnodeOwners();
-    consistentHash.updateVnodeMappings(vnodeMap);
-    logger.info(`Loaded ${Object.keys(vnodeMap).length} vnode mappings from Redis`);
+    const [presence] = await lookupPresence([req.params.userId], req.user.userId);
+    res.json(presence);
   } catch (error) {
-    logger.error('Error loading vnode mappings', { error: error.message });
+    logger.error('Error looking up presence', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
   }
-}
+});
 
-// Start the server
-async function start() {
+// Look up presence for many users at once
+app.post('/presence/batch', Auth.authenticate, requireReady, async (req, res) => {
   try {
-    // Connect to Kafka
-    await producer.connect();
-    logger.info('Connected to Kafka');
+    const { userIds } = req.body;
+    
+    if (!Array.isArray(userIds) || userIds.length === 0) {
+      return res.status(400).json({ error: 'userIds must be a non-empty array' });
+    }
+    
+    if (!userIds.every(userId => typeof userId === 'string' && userId.length > 0)) {
+      return res.status(400).json({ error: 'userIds must contain only non-empty strings' });
+    }
+    
+    const uniqueUserIds = [...new Set(userIds)];
+    if (uniqueUserIds.length > config.presenceBatchLimit) {
+      return res.status(400).json({
+        error: `At most ${config.presenceBatchLimit} userIds are allowed per request`
+      });
+    }
+    
+    const presences = await lookupPresence(uniqueUserIds, req.user.userId);
+    res.json({ presences });
+  } catch (error) {
+    logger.error('Error looking up batch presence', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Publish synthetic offline events for users who were connected to a dead node
+async function publishOfflineForNode(instanceId) {
+  const userIds = await redisClient.getNodeUsers(instanceId);
+  if (userIds.length === 0) return;
+  
+  // Skip users who already reconnected somewhere else
+  const records = await redisClient.getUserPresences(userIds);
+  const strandedUserIds = userIds.filter(userId => {
+    const record = records[userId];
+    return !record || record.nodeId === instanceId;
+  });
+  
+  // The offline state ends the dead node's generation of each user, so it is
+  // ordered after everything that node published
+  const now = Date.now();
+  let queued = 0;
+  for (const userId of strandedUserIds) {
+    const record = records[userId];
+    const generation = record ? record.generation : 0;
+    const sequence = record ? record.sequence + 1 : 1;
     
-    // Load vnode mappings
-    await loadVnodeMappings();
+    // A user who reconnected in the meantime has a newer record, leave it be
+    const written = await redisClient.setUserPresence(userId, {
+      status: 'offline',
+      nodeId: instanceId,
+      lastSeen: record ? record.lastSeen : now,
+      generation,
+      sequence
+    }, config.presenceOfflineTtl);
+    if (!written) continue;
     
-    // Start Express server
-    app.listen(config.coordinatorPort, () => {
-      logger.info(`Coordinator service listening on port ${config.coordinatorPort}`);
+    const encoded = StatusEvent.encode(StatusEvent.create('offline', userId, instanceId, {
+      timestamp: now,
+      reason: 'node_failure',
+      generation,
+      sequence
+    }));
+    outbox.enqueue(config.kafkaStatusTopic, {
+      key: userId,
+      partition: VnodePartitions.forVnode(consistentHash.getUserVnode(userId), consistentHash.vnodeCount, config.kafkaPartitions),
+      ...encoded
     });
+    outbox.enqueue(config.kafkaPresenceStateTopic, { key: userId, ...encoded });
+    queued++;
+  }
+  
+  await redisClient.clearNodeUsers(instanceId);
+  logger.info(`Queued offline events for ${queued} users of node ${instanceId}`);
+}
+
+// Move the vnodes of instances whose lease expired, i.e. that stopped
+// heartbeating, to healthy instances by weight and current load
+async function sweepExpiredLeases() {
+  try {
+    // Only one coordinator replica sweeps at a time
+    const locked = await redisClient.acquireLock('lease-sweep', `coordinator-${config.nodeId}`, config.leaseSweepInterval);
+    if (!locked) return;
     
-    // Set up graceful shutdown
-    const shutdown = async () => {
-      logger.info('Shutting down coordinator service...');
-      await producer.disconnect();
-      await redisClient.close();
-      process.exit(0);
-    };
+    const rings = activeRings();
+    const [nodeInfo, ...ringOwners] = await Promise.all([
+      redisClient.getAllNodeInfo(),
+      ...rings.map(ring => redisClient.getAllVnodeOwners(ring.vnodeCount))
+    ]);
+    
+    const instanceIds = new Set(Object.keys(nodeInfo));
+    for (const vnodeOwners of ringOwners) {
+      Object.values(vnodeOwners).forEach(instanceId => instanceIds.add(instanceId));
+    }
+    const leases = await redisClient.getNodeLeases([...instanceIds]);
+    const deadInstanceIds = [...instanceIds].filter(instanceId => !leases[instanceId]);
+    if (deadInstanceIds.length === 0) return;
     
-    process.on('SIGINT', shutdown);
-    process.on('SIGTERM', shutdown);
+    const healthyWeights = await getEligibleNodeWeights();
     
+    for (const instanceId of deadInstanceIds) {
+      let moved = 0;
+      for (const ring of rings) {
+        const assignments = await reassignInstanceVnodes(ring, instanceId, healthyWeights);
+        moved += Object.keys(assignments).length;
+      }
+      logger.warn(`Lease of node ${instanceId} expired, failed over ${moved} vnodes`);
+      
+      await redisClient.removeNodeInfo(instanceId);
+      await redisClient.setNodeDraining(instanceId, false);
+      await publishOfflineForNode(instanceId);
+    }
   } catch (error) {
-    logger.error('Error starting coordinator service', { error: error.message });
-    process.exit(1);
+    logger.error('Error sweeping expired leases', { error: error.message });
+  }
+}
+
+// Load the rings and their vnode mappings from Redis on startup
+async function loadVnodeMappings() {
+  const [ring, epoch] = await Promise.all([
+    redisClient.getRing(config.vnodeCount, config.hashStrategy),
+    redisClient.getRingEpoch()
+  ]);
+  hashStrategy = ring.hashStrategy;
+  await syncRings(ring);
+  observeRingEpoch(epoch);
+  
+  if (ring.vnodeCount !== config.vnodeCount) {
+    logger.warn(`Using the stored ring of ${ring.vnodeCount} vnodes, VNODE_COUNT=${config.vnodeCount} only applies to a new cluster`);
+  }
+  if (ring.hashStrategy !== config.hashStrategy) {
+    logger.warn(`Using the stored hash strategy ${ring.hashStrategy}, HASH_STRATEGY=${config.hashStrategy} only applies to a new cluster`);
+  }
+  logger.info(`Loaded ${Object.keys(consistentHash.getVnodeMap()).length} vnode mappings from Redis at epoch ${epoch}`, {
+    vnodeCount: ring.vnodeCount,
+    nextVnodeCount: ring.nextVnodeCount
+  });
+}
+
+// Build a hash ring with the given vnode count from the owners stored in Redis
+async function loadRing(vnodeCount) {
+  const ring = new ConsistentHash(vnodeCount, hashStrategy);
+  ring.updateVnodeMappings(await redisClient.getAllVnodeOwners(vnodeCount));
+  return ring;
+}
+
+// Bring the local rings in line with the vnode count in use and the one
+// being moved to, if a resize is in progress
+async function syncRings({ vnodeCount, nextVnodeCount }) {
+  if (!consistentHash || consistentHash.vnodeCount !== vnodeCount) {
+    consistentHash = nextHash && nextHash.vnodeCount === vnodeCount ? nextHash : await loadRing(vnodeCount);
+  }
+  
+  if (!nextVnodeCount) {
+    nextHash = null;
+  } else if (!nextHash || nextHash.vnodeCount !== nextVnodeCount) {
+    nextHash = await loadRing(nextVnodeCount);
   }
 }
 
 // Start the service
-start(); 
\ No newline at end of file
+async function start() {
+  // Connect to the event bus
+  await bus.ensureTopic(config.kafkaStatusTopic, { partitions: config.kafkaPartitions });
+  await PresenceSnapshot.ensureTopic(bus);
+  await bus.connect();
+  outbox.start();
+  
+  // Load vnode mappings, then follow changes made by other replicas
+  await loadVnodeMappings();
+  await redisClient.subscribeOwnershipChanges((change) => {
+    const ring = ringFor(change.vnodeCount);
+    if (ring) {
+      ring.applyAssignments(change.assignments);
+    }
+    observeRingEpoch(change.epoch);
+  });
+  await redisClient.subscribeRingChanges(async (change) => {
+    try {
+      await syncRings(change);
+      observeRingEpoch(change.epoch);
+    } catch (error) {
+      logger.error('Error following ring change', { error: error.message });
+    }
+  });
+  
+  // Periodically release vnodes of dead nodes
+  leaseSweepInterval = setInterval(sweepExpiredLeases, config.leaseSweepInterval);
+  
+  // Start Express server
+  await new Promise((resolve) => {
+    server = app.listen(config.coordinatorPort, resolve);
+  });
+  logger.info(`Coordinator service listening on port ${config.coordinatorPort}`);
+  
+  // Rebuild presence in the background, /ready reports the progress
+  await presenceSnapshot.start();
+}
+
+// Stop the service
+async function stop() {
+  logger.info('Shutting down coordinator service...');
+  clearInterval(leaseSweepInterval);
+  if (server) {
+    server.close();
+  }
+  await presenceSnapshot.stop();
+  await outbox.close();
+  await bus.disconnect();
+  await redisClient.close();
+}
+
+// Start the service when run directly, tests start it themselves
+if (require.main === module) {
+  // Set up graceful shutdown
+  const shutdown = async () => {
+    await stop();
+    process.exit(0);
+  };
+  
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+  
+  start().catch((error) => {
+    logger.error('Error starting coordinator service', { error: error.message });
+    process.exit(1);
+  });
+}
+
+module.exports = { app, start, stop };
@@ -1,52 +1,443 @@
 const http = require('http');
 const WebSocket = require('ws');
-const { Kafka } = require('kafkajs');
+const { v4: uuidv4 } = require('uuid');
 const ConsistentHash = require('../common/consistent-hash');
 const redisClient = require('../common/redis-client');
 const Auth = require('../common/auth');
+const Presence = require('../common/presence');
+const CloseCodes = require('../common/close-codes');
+const VnodePartitions = require('../common/vnode-partitions');
+const StatusEvent = require('../common/status-event');
+const EventBus = require('../common/event-bus');
+const EventOrder = require('../common/event-order');
+const EventOutbox = require('../common/event-outbox');
+const PresenceSnapshot = require('../common/presence-snapshot');
 const config = require('../common/config');
 const logger = require('../common/logger');
 
-// Initialize HTTP server for WebSocket
-const server = http.createServer();
+// Set once presence is rebuilt, connections are turned away until then
+let ready = false;
+
+// Initialize HTTP server for WebSocket, it also answers readiness probes
+const server = http.createServer((req, res) => {
+  if (req.method === 'GET' && req.url === '/ready') {
+    res.writeHead(ready ? 200 : 503, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ready, presence: presenceSnapshot.getProgress() }));
+    return;
+  }
+  res.writeHead(404);
+  res.end();
+});
 
 // Initialize WebSocket server
 const wss = new WebSocket.Server({ server });
 
-// Initialize Kafka
-const kafka = new Kafka({
-  clientId: `ws-node-${config.nodeId}`,
-  brokers: config.kafkaBrokers
-});
+// Initialize the event bus (Kafka, Redis Streams or in-process, by EVENT_BUS)
+const bus = EventBus.create(`ws-node-${config.nodeId}`);
 
-const producer = kafka.producer();
-const consumer = kafka.consumer({ 
-  groupId: `ws-node-group-${config.nodeId}` 
+// Produced events wait here until the bus takes them, so an outage delays them
+// instead of failing the connection or close that caused them
+const outbox = new EventOutbox(
+  topicMessages => bus.send(topicMessages),
+  { name: `ws-node-${config.nodeId}` }
+);
+
+// Latest presence of every user, read once on startup
+const presenceSnapshot = new PresenceSnapshot(bus, `presence-state-ws-node-${config.nodeId}`);
+
+// Status events of the partitions this node needs
+const consumer = bus.consumer({
+  groupId: `ws-node-group-${config.nodeId}`,
+  topic: config.kafkaStatusTopic,
+  partitions: getWantedPartitions
 });
 
-// Initialize consistent hash ring
-const consistentHash = new ConsistentHash(config.vnodeCount);
+// Pending re-join that updates the consumed partitions
+let partitionRefreshTimer = null;
+
+// Heartbeat and idle detection, started once the node is registered
+let heartbeatInterval = null;
+let idleCheckInterval = null;
+
+// Status events that failed to decode or validate, and events dropped as
+// stale or duplicate, since startup. Reported with the heartbeat.
+let invalidEventCount = 0;
+let staleEventCount = 0;
+
+// Close handlers still writing presence and queueing offline events
+const pendingCloses = new Set();
+
+// Latest (generation, sequence) seen per user, to drop stale and duplicate events
+const eventOrder = new EventOrder();
+
+// Hash ring in use, built on startup with the vnode count stored in Redis
+let consistentHash = null;
+
+// How users map to vnodes, stored in Redis by the first service of the cluster
+let hashStrategy = config.hashStrategy;
+
+// Vnodes owned by this node, granted by the coordinator on startup and
+// changed only by it while running
+let assignedVnodes = [];
+const selfRegistered = config.assignedVnodes.length === 0;
+
+// While the vnode count is being changed, the ring being moved to and the
+// vnodes this node owns on it. Users routed by either ring are accepted.
+let nextHash = null;
+let nextVnodes = [];
+
+// Latest ring epoch seen, clients routed against an older one are sent back to the coordinator
+let ringEpoch = 0;
 
 // Track online users by vnodeId
 const onlineUsers = {};
-for (const vnodeId of config.assignedVnodes) {
-  onlineUsers[vnodeId] = new Set();
-}
 
-// Track client connections
-const clients = new Map(); // userId -> WebSocket
+// Track client sessions, a user may be connected from several devices at once
+const clients = new Map(); // userId -> Map<sessionId, { ws, sessionId, deviceType, connectedAt }>
+
+// Presence records for users connected to this node
+const userPresence = new Map(); // userId -> { status, nodeId, connectedAt, lastSeen, devices, statusMessage, statusExpiresAt, autoAway }
+
+// Timers that revert custom statuses once they expire
+const statusExpiryTimers = new Map(); // userId -> Timeout
+
+// Migrated users waiting to reach their new owner, offline if they never do
+const migratedUsers = new Map(); // userId -> { presence, timer }
+
+// Track presence subscriptions
+const watchers = new Map(); // watched userId -> Set<session>
 
 // Validate if a user belongs to this node's vnodes
 function isUserOwnedByThisNode(userId) {
   const userVnodeId = consistentHash.getUserVnode(userId);
-  return config.assignedVnodes.includes(userVnodeId);
+  if (assignedVnodes.includes(userVnodeId)) {
+    return true;
+  }
+  return nextHash !== null && nextVnodes.includes(nextHash.getUserVnode(userId));
+}
+
+// Mark a user online or offline on their vnode in the ring in use
+function trackOnlineUser(userId, online) {
+  const vnodeId = consistentHash.getUserVnode(userId);
+  if (!onlineUsers[vnodeId]) {
+    onlineUsers[vnodeId] = new Set();
+  }
+  
+  if (online) {
+    onlineUsers[vnodeId].add(userId);
+  } else {
+    onlineUsers[vnodeId].delete(userId);
+  }
+}
+
+// Forget a session that failed while connecting
+function discardSession(session) {
+  const { userId, sessionId } = session;
+  const sessions = clients.get(userId);
+  if (!sessions || !sessions.delete(sessionId)) return;
+  
+  removeSubscriptions(session, [...session.subscriptions]);
+  if (sessions.size === 0) {
+    trackOnlineUser(userId, false);
+    clients.delete(userId);
+    userPresence.delete(userId);
+    clearTimeout(statusExpiryTimers.get(userId));
+    statusExpiryTimers.delete(userId);
+  }
+}
+
+// Re-bucket connected users after the ring in use changed
+function rebuildOnlineUsers() {
+  for (const vnodeId of Object.keys(onlineUsers)) {
+    delete onlineUsers[vnodeId];
+  }
+  for (const vnodeId of assignedVnodes) {
+    onlineUsers[vnodeId] = new Set();
+  }
+  for (const userId of clients.keys()) {
+    trackOnlineUser(userId, true);
+  }
+}
+
+// List the distinct device types of a user's open sessions
+function getUserDevices(userId) {
+  const sessions = clients.get(userId);
+  if (!sessions) return [];
+  return [...new Set([...sessions.values()].map(session => session.deviceType))];
+}
+
+// Send a message to every open session of a user
+function sendToUser(userId, message) {
+  const sessions = clients.get(userId);
+  if (!sessions) return;
+  
+  const data = JSON.stringify(message);
+  for (const session of sessions.values()) {
+    if (session.ws.readyState === WebSocket.OPEN) {
+      session.ws.send(data);
+    }
+  }
+}
+
+// Report an invalid client request back to the session
+function sendError(session, error) {
+  if (session.ws.readyState === WebSocket.OPEN) {
+    session.ws.send(JSON.stringify({ type: 'error', error, timestamp: Date.now() }));
+  }
+}
+
+// Subscribe a session to presence updates of other users
+async function addSubscriptions(session, userIds) {
+  if (!Array.isArray(userIds) || !userIds.every(id => typeof id === 'string' && id.length > 0)) {
+    sendError(session, 'userIds must be an array of non-empty strings');
+    return;
+  }
+  
+  const accepted = [];
+  const rejected = [];
+  for (const watchedUserId of new Set(userIds)) {
+    if (!session.subscriptions.has(watchedUserId) && session.subscriptions.size >= config.maxSubscriptions) {
+      rejected.push(watchedUserId);
+      continue;
+    }
+    
+    session.subscriptions.add(watchedUserId);
+    if (!watchers.has(watchedUserId)) {
+      watchers.set(watchedUserId, new Set());
+    }
+    watchers.get(watchedUserId).add(session);
+    accepted.push(watchedUserId);
+  }
+  consumePartitionsFor(accepted);
+  
+  session.ws.send(JSON.stringify({ type: 'subscribed', userIds: accepted, rejected }));
+  
+  // Send the current state so the client does not wait for the next change
+  const records = await redisClient.getUserPresences(accepted);
+  for (const watchedUserId of accepted) {
+    if (session.ws.readyState !== WebSocket.OPEN) return;
+    session.ws.send(JSON.stringify({
+      type: 'presence',
+      userId: watchedUserId,
+      ...Presence.viewFor(records[watchedUserId], watchedUserId === session.userId),
+      timestamp: Date.now()
+    }));
+  }
+}
+
+// Unsubscribe a session from presence updates of other users
+function removeSubscriptions(session, userIds) {
+  const removed = [];
+  for (const watchedUserId of userIds) {
+    if (!session.subscriptions.delete(watchedUserId)) continue;
+    
+    const sessions = watchers.get(watchedUserId);
+    sessions.delete(session);
+    if (sessions.size === 0) {
+      watchers.delete(watchedUserId);
+    }
+    removed.push(watchedUserId);
+  }
+  return removed;
+}
+
+// Push a status change to every session watching the user
+function notifyWatchers(event) {
+  const { userId } = event;
+  const sessions = watchers.get(userId);
+  if (!sessions) return;
+  
+  const record = {
+    status: event.type,
+    devices: event.devices,
+    statusMessage: event.statusMessage,
+    statusExpiresAt: event.statusExpiresAt,
+    lastSeen: event.timestamp
+  };
+  for (const session of sessions) {
+    if (session.ws.readyState === WebSocket.OPEN) {
+      session.ws.send(JSON.stringify({
+        type: 'presence',
+        userId,
+        ...Presence.viewFor(record, userId === session.userId),
+        timestamp: event.timestamp,
+        sourceNodeId: event.nodeId
+      }));
+    }
+  }
+}
+
+// Queue a user status event for the event bus. Local watchers are told right away,
+// the event coming back from the bus is then dropped as a duplicate.
+async function publishStatusEvent(userId, type, details = {}) {
+  const event = StatusEvent.create(type, userId, config.nodeId, details);
+  const { value, headers } = StatusEvent.encode(event);
+  
+  eventOrder.record(event);
+  notifyWatchers(event);
+  
+  outbox.enqueue(config.kafkaStatusTopic, {
+    key: userId,
+    partition: getUserPartition(userId),
+    value,
+    headers
+  });
+  
+  // The compacted state topic keeps only the latest event of each user
+  outbox.enqueue(config.kafkaPresenceStateTopic, { key: userId, value, headers });
+}
+
+// Publish the user's current presence and echo it to their own sessions
+async function publishPresence(userId, details = {}) {
+  const presence = userPresence.get(userId);
+  const update = {
+    devices: presence.devices,
+    statusMessage: presence.statusMessage || null,
+    statusExpiresAt: presence.statusExpiresAt || null,
+    ...details
+  };
+  
+  sendToUser(userId, {
+    type: 'status_update',
+    action: presence.status,
+    ...update,
+    timestamp: Date.now(),
+    sourceNodeId: config.nodeId
+  });
+  
+  await publishStatusEvent(userId, presence.status, {
+    ...update,
+    generation: presence.generation,
+    sequence: presence.sequence
+  });
+}
+
+// Fall back to plain online once a custom status expires
+function scheduleStatusExpiry(userId, statusExpiresAt) {
+  clearTimeout(statusExpiryTimers.get(userId));
+  statusExpiryTimers.delete(userId);
+  
+  if (!statusExpiresAt) return;
+  
+  statusExpiryTimers.set(userId, setTimeout(() => {
+    setUserStatus(userId, 'online').catch((error) => {
+      logger.error(`Error expiring status for user ${userId}`, { error: error.message });
+    });
+  }, Math.max(0, statusExpiresAt - Date.now())));
+}
+
+// Apply a status chosen by the user, store it and publish it
+async function setUserStatus(userId, status, statusMessage = null, statusExpiresAt = null) {
+  const presence = userPresence.get(userId);
+  if (!presence) return;
+  
+  // An explicit status always overrides idle detection
+  presence.status = status;
+  presence.autoAway = false;
+  presence.statusMessage = statusMessage;
+  presence.statusExpiresAt = statusExpiresAt;
+  presence.lastSeen = Date.now();
+  scheduleStatusExpiry(userId, statusExpiresAt);
+  
+  logger.info(`User ${userId} set status ${status}`, { statusExpiresAt });
+  
+  presence.sequence++;
+  await redisClient.setUserPresence(userId, presence, config.presenceTtl);
+  await publishPresence(userId);
+}
+
+// Move a user between online and away as their sessions go idle or active
+async function updateIdleStatus(userId) {
+  const presence = userPresence.get(userId);
+  const sessions = clients.get(userId);
+  if (!presence || !sessions) return;
+  
+  const isIdle = [...sessions.values()].every(session => session.idle);
+  let reason;
+  
+  if (isIdle && presence.status === 'online') {
+    presence.autoAway = true;
+    presence.status = 'away';
+    reason = 'idle';
+  } else if (!isIdle && presence.autoAway) {
+    presence.autoAway = false;
+    presence.status = 'online';
+    reason = 'active';
+  } else {
+    return;
+  }
+  
+  logger.debug(`User ${userId} is now ${presence.status}`, { reason });
+  
+  presence.lastSeen = Date.now();
+  presence.sequence++;
+  await redisClient.setUserPresence(userId, presence, config.presenceTtl);
+  await publishPresence(userId, { reason });
+}
+
+// Record activity or idleness reported by a session
+function setSessionIdle(session, idle) {
+  if (!idle) {
+    session.lastActivity = Date.now();
+  }
+  if (session.idle === idle) return;
+  
+  session.idle = idle;
+  updateIdleStatus(session.userId).catch((error) => {
+    logger.error(`Error updating idle status for user ${session.userId}`, { error: error.message });
+  });
+}
+
+// Mark sessions idle once they have shown no activity for the idle timeout
+function checkIdleSessions() {
+  const idleBefore = Date.now() - config.idleTimeout;
+  
+  for (const sessions of clients.values()) {
+    for (const session of sessions.values()) {
+      if (!session.idle && session.lastActivity <= idleBefore) {
+        setSessionIdle(session, true);
+      }
+    }
+  }
+}
+
+// Validate and apply a set_presence request from a session
+async function handleSetPresence(session, data) {
+  const { status, message = null, expiresIn = null } = data;
+  
+  if (!Presence.isSettableStatus(status)) {
+    sendError(session, `status must be one of ${Presence.SETTABLE_STATUSES.join(', ')}`);
+    return;
+  }
+  
+  if (message !== null && (typeof message !== 'string' || message.length > config.statusMessageMaxLength)) {
+    sendError(session, `message must be a string of at most ${config.statusMessageMaxLength} characters`);
+    return;
+  }
+  
+  if (expiresIn !== null && !(Number.isFinite(expiresIn) && expiresIn > 0 && expiresIn <= config.statusMaxExpiry)) {
+    sendError(session, `expiresIn must be between 1 and ${config.statusMaxExpiry} seconds`);
+    return;
+  }
+  
+  const statusExpiresAt = expiresIn ? Date.now() + expiresIn * 1000 : null;
+  await setUserStatus(session.userId, status, message, statusExpiresAt);
 }
 
 // Handle new WebSocket connection
 wss.on('connection', async (ws, req) => {
   let userId = null;
+  let session = null;
+  let closeHandlerAttached = false;
   
   try {
+    // Turn users away until presence is rebuilt, they retry with backoff
+    if (!ready) {
+      logger.debug('Connection rejected: Presence is still being rebuilt');
+      ws.close(1013, 'Not ready');
+      return;
+    }
+    
     // Extract and verify JWT token
     const token = Auth.extractToken(req);
     if (!token) {
@@ -55,64 +446,166 @@ wss.on('connection', async (ws, req) => {
       return;
     }
     
-    // Extract userId from token
-    userId = Auth.extractUserId(token);
+    // Extract userId and device claims from token
+    const claims = Auth.verifyToken(token);
+    userId = claims ? claims.userId : null;
     if (!userId) {
       logger.debug('Connection rejected: Invalid token');
       ws.close(1008, 'Invalid token');
       return;
     }
     
+    // Reject clients whose route predates the latest ownership change
+    const clientEpoch = parseInt(new URL(req.url, 'http://localhost').searchParams.get('epoch'), 10);
+    if (clientEpoch < ringEpoch) {
+      logger.debug(`Connection rejected: User ${userId} routed at epoch ${clientEpoch}, ring is at ${ringEpoch}`);
+      ws.close(CloseCodes.STALE_EPOCH, 'Stale ring epoch');
+      return;
+    }
+    
     // Check if user belongs to this node
     if (!isUserOwnedByThisNode(userId)) {
       logger.debug(`Connection rejected: User ${userId} does not belong to this node`);
-      ws.close(1008, 'User does not belong to this node');
+      ws.close(CloseCodes.WRONG_NODE, 'User does not belong to this node');
       return;
     }
     
-    // Store client connection
-    clients.set(userId, ws);
+    // Register the session alongside any other sessions of the same user
+    session = {
+      ws,
+      userId,
+      sessionId: uuidv4(),
+      deviceType: claims.deviceType || 'unknown',
+      connectedAt: Date.now(),
+      subscriptions: new Set(),
+      lastActivity: Date.now(),
+      idle: false,
+      missedPongs: 0,
+      closeReason: null
+    };
+    const { sessionId, deviceType } = session;
+    
+    if (!clients.has(userId)) {
+      clients.set(userId, new Map());
+    }
+    clients.get(userId).set(sessionId, session);
     
     // Add user to online set
     const vnodeId = consistentHash.getUserVnode(userId);
-    onlineUsers[vnodeId].add(userId);
+    trackOnlineUser(userId, true);
+    consumePartitionsFor([userId]);
     
-    logger.info(`User ${userId} connected`, { vnode: vnodeId });
-    
-    // Send online status event to Kafka
-    await producer.send({
-      topic: 'user_status_events',
-      messages: [
-        { 
-          key: userId,
-          value: JSON.stringify({
-            userId,
-            action: 'online',
-            timestamp: Date.now(),
-            nodeId: config.nodeId
-          })
-        }
-      ]
-    });
+    logger.info(`User ${userId} connected`, { vnode: vnodeId, sessionId, deviceType });
+    
+    // Record presence in Redis so it survives this node
+    let presence = userPresence.get(userId);
+    if (!presence) {
+      // Back before the migration completed, this connection starts a new generation
+      forgetMigratedUser(userId);
+      
+      // A new generation puts this node's events for the user after those
+      // of any node that had the user before, however late those arrive
+      const [previous, generation] = await Promise.all([
+        redisClient.getUserPresence(userId),
+        redisClient.nextPresenceGeneration(userId)
+      ]);
+      presence = {
+        status: 'online',
+        nodeId: config.nodeId,
+        connectedAt: session.connectedAt,
+        generation,
+        sequence: 0
+      };
+      
+      // Take over the status of a user migrated from another node
+      if (previous && previous.nodeId !== config.nodeId && Presence.isConnectedStatus(previous.status)) {
+        const view = Presence.viewFor(previous, true);
+        presence.status = view.status;
+        presence.autoAway = previous.autoAway && view.status === 'away';
+        presence.statusMessage = view.statusMessage;
+        presence.statusExpiresAt = view.status === previous.status ? previous.statusExpiresAt : null;
+        presence.connectedAt = previous.connectedAt || session.connectedAt;
+        scheduleStatusExpiry(userId, presence.statusExpiresAt);
+      }
+      
+      userPresence.set(userId, presence);
+      
+      // Let the coordinator find this user if this node dies
+      await redisClient.addNodeUser(config.nodeId, userId);
+    }
     
-    // Ping interval to keep connection alive
+    // A new session is activity, so undo any idle away
+    if (presence.autoAway) {
+      presence.autoAway = false;
+      presence.status = 'online';
+    }
+    presence.lastSeen = session.connectedAt;
+    presence.devices = getUserDevices(userId);
+    presence.sequence++;
+    if (!await redisClient.setUserPresence(userId, presence, config.presenceTtl)) {
+      logger.warn(`Stored presence of user ${userId} is newer than generation ${presence.generation}, is the user connected elsewhere?`);
+    }
+    
+    // Send status event to the event bus and let the user's other sessions know a device joined
+    await publishPresence(userId, { sessionId, deviceType });
+    
+    // Ping interval to keep connection alive, terminating sockets that stopped answering
     const pingInterval = setInterval(() => {
+      if (session.missedPongs >= config.maxMissedPongs) {
+        logger.warn(`Terminating unresponsive connection of user ${userId}`, {
+          sessionId,
+          missedPongs: session.missedPongs
+        });
+        session.closeReason = 'timeout';
+        ws.terminate();
+        return;
+      }
+      
       if (ws.readyState === WebSocket.OPEN) {
+        session.missedPongs++;
         ws.ping();
       }
-    }, 30000);
+    }, config.wsPingInterval);
+    
+    // Any pong proves the connection is still alive
+    ws.on('pong', () => {
+      session.missedPongs = 0;
+    });
     
     // Handle messages from client
     ws.on('message', (message) => {
       try {
         const data = JSON.parse(message);
-        logger.debug(`Received message from user ${userId}`, { data });
+        logger.debug(`Received message from user ${userId}`, { data, sessionId });
         
         // Handle message types
         switch (data.type) {
           case 'ping':
             ws.send(JSON.stringify({ type: 'pong', timestamp: Date.now() }));
             break;
+          case 'subscribe':
+            addSubscriptions(session, data.userIds).catch((error) => {
+              logger.error(`Error subscribing user ${userId} to presence`, { error: error.message });
+            });
+            break;
+          case 'set_presence':
+            setSessionIdle(session, false);
+            handleSetPresence(session, data).catch((error) => {
+              logger.error(`Error setting presence for user ${userId}`, { error: error.message });
+            });
+            break;
+          case 'activity':
+            setSessionIdle(session, false);
+            break;
+          case 'idle':
+            setSessionIdle(session, true);
+            break;
+          case 'unsubscribe':
+            ws.send(JSON.stringify({
+              type: 'unsubscribed',
+              userIds: removeSubscriptions(session, Array.isArray(data.userIds) ? data.userIds : [])
+            }));
+            break;
           default:
             logger.debug(`Unknown message type: ${data.type}`);
         }
@@ -121,36 +614,92 @@ wss.on('connection', async (ws, req) => {
       }
     });
     
-    // Handle disconnection
-    ws.on('close', async () => {
+    // Handle disconnection, shutdown waits for this to finish
+    ws.on('close', () => trackSessionClose(async () => {
       clearInterval(pingInterval);
+      const reason = session.closeReason || 'closed';
+      const presence = userPresence.get(userId);
+      removeSubscriptions(session, [...session.subscriptions]);
+      
+      // Remove the session, the user stays online while other sessions remain
+      const sessions = clients.get(userId);
+      sessions.delete(sessionId);
+      const isLastSession = sessions.size === 0;
+      
+      if (isLastSession) {
+        trackOnlineUser(userId, false);
+        clients.delete(userId);
+        userPresence.delete(userId);
+        clearTimeout(statusExpiryTimers.get(userId));
+        statusExpiryTimers.delete(userId);
+      }
+      
+      logger.info(`User ${userId} disconnected`, {
+        vnode: vnodeId,
+        sessionId,
+        reason,
+        remainingSessions: sessions.size
+      });
+      
+      if (isLastSession) {
+        try {
+          await redisClient.removeNodeUser(config.nodeId, userId);
+        } catch (error) {
+          logger.error(`Error removing user ${userId} from node users`, { error: error.message });
+        }
+      }
       
-      // Remove user from online set
-      onlineUsers[vnodeId].delete(userId);
-      clients.delete(userId);
+      // A migrating user keeps their presence, the new owner takes it over
+      if (reason === 'migrate') {
+        if (isLastSession) {
+          expectMigratedUser(userId, presence);
+        }
+        return;
+      }
       
-      logger.info(`User ${userId} disconnected`, { vnode: vnodeId });
+      // Update presence, keeping an offline record around so lastSeen can still be looked up
+      presence.sequence++;
+      try {
+        if (isLastSession) {
+          await redisClient.setUserPresence(userId, {
+            status: 'offline',
+            nodeId: config.nodeId,
+            lastSeen: Date.now(),
+            generation: presence.generation,
+            sequence: presence.sequence
+          }, config.presenceOfflineTtl);
+        } else {
+          presence.lastSeen = Date.now();
+          presence.devices = getUserDevices(userId);
+          await redisClient.setUserPresence(userId, presence, config.presenceTtl);
+        }
+      } catch (error) {
+        logger.error(`Error writing presence for user ${userId}`, { error: error.message });
+      }
       
-      // Send offline status event to Kafka
+      // Send status event to the event bus, offline only once the last session is gone
       try {
-        await producer.send({
-          topic: 'user_status_events',
-          messages: [
-            { 
-              key: userId,
-              value: JSON.stringify({
-                userId,
-                action: 'offline',
-                timestamp: Date.now(),
-                nodeId: config.nodeId
-              })
-            }
-          ]
-        });
+        if (isLastSession) {
+          await publishStatusEvent(userId, 'offline', {
+            sessionId,
+            deviceType,
+            devices: [],
+            reason,
+            generation: presence.generation,
+            sequence: presence.sequence
+          });
+        } else {
+          // Let the user's remaining sessions know a device left
+          await publishPresence(userId, { sessionId, deviceType, reason });
+          
+          // The remaining sessions may all be idle
+          await updateIdleStatus(userId);
+        }
       } catch (error) {
-        logger.error(`Error sending offline event for user ${userId}`, { error: error.message });
+        logger.error(`Error sending status event for user ${userId}`, { error: error.message });
       }
-    });
+    }));
+    closeHandlerAttached = true;
     
     // Handle errors
     ws.on('error', (error) => {
@@ -161,36 +710,81 @@ wss.on('connection', async (ws, req) => {
     ws.send(JSON.stringify({
       type: 'welcome',
       userId,
+      sessionId,
+      deviceType,
       nodeId: config.nodeId,
+      epoch: ringEpoch,
       timestamp: Date.now()
     }));
     
   } catch (error) {
     logger.error('Error handling WebSocket connection', { error: error.message });
+    
+    // The close handler is not there yet to clean up after the session
+    if (session && !closeHandlerAttached) {
+      discardSession(session);
+    }
     if (ws.readyState === WebSocket.OPEN) {
       ws.close(1011, 'Internal server error');
     }
   }
 });
 
+// Run a session's close handler, keeping track of it until it is done
+function trackSessionClose(handler) {
+  const closing = handler()
+    .catch(error => logger.error('Error closing session', { error: error.message }))
+    .finally(() => pendingCloses.delete(closing));
+  pendingCloses.add(closing);
+}
+
+// Wait for closed sessions' handlers to finish. Sockets that have not
+// completed the close handshake within the timeout are cut off.
+async function waitForSessionsClosed(timeout) {
+  const deadline = Date.now() + timeout;
+  while (wss.clients.size > 0 && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  wss.clients.forEach(client => client.terminate());
+  
+  while (pendingCloses.size > 0) {
+    await Promise.all([...pendingCloses]);
+  }
+}
+
 // Push vnode ownership and load metrics to Redis periodically
 async function updateHeartbeat() {
   try {
-    // Prepare vnode ownership
-    const vnodeOwners = {};
-    for (const vnodeId of config.assignedVnodes) {
-      vnodeOwners[vnodeId] = config.nodeId;
-    }
+    // Catch up with ownership changes whose message we missed. Ownership is
+    // only ever changed by the coordinator, the heartbeat never claims vnodes.
+    const { vnodeCount } = consistentHash;
+    reconcileOwnership(vnodeCount, await redisClient.getAllVnodeOwners(vnodeCount));
     
     // Prepare vnode load metrics
     const vnodeLoad = {};
-    for (const vnodeId of config.assignedVnodes) {
+    for (const vnodeId of assignedVnodes) {
       vnodeLoad[vnodeId] = onlineUsers[vnodeId].size;
     }
     
-    // Update Redis
-    await redisClient.updateVnodeOwners(vnodeOwners);
-    await redisClient.updateVnodeLoads(vnodeLoad);
+    // Refresh presence records of connected users
+    const now = Date.now();
+    const presenceRecords = {};
+    for (const [userId, presence] of userPresence) {
+      presence.lastSeen = now;
+      presenceRecords[userId] = presence;
+    }
+    
+    // Update Redis, renewing our lease first so the coordinator keeps our vnodes
+    await redisClient.renewNodeLease(config.nodeId, config.nodeLeaseTtl);
+    await redisClient.setNodeInfo(config.nodeId, {
+      address: config.advertisedAddress,
+      weight: config.nodeWeight,
+      invalidEvents: invalidEventCount,
+      staleEvents: staleEventCount,
+      outbox: outbox.getStats()
+    });
+    await redisClient.updateVnodeLoads(vnodeCount, vnodeLoad);
+    await redisClient.updateUserPresences(presenceRecords, config.presenceTtl);
     
     logger.debug('Updated heartbeat data in Redis', {
       onlineUsersCount: Object.values(onlineUsers).reduce((sum, set) => sum + set.size, 0)
@@ -200,123 +794,664 @@ async function updateHeartbeat() {
   }
 }
 
-// Subscribe to Kafka for user status events
-async function subscribeToUserStatusEvents() {
-  try {
-    await consumer.subscribe({ topic: 'user_status_events', fromBeginning: false });
+// Track the latest ring epoch announced by the coordinator
+function observeRingEpoch(epoch) {
+  if (Number.isInteger(epoch) && epoch > ringEpoch) {
+    ringEpoch = epoch;
+  }
+}
+
+// List the vnodes a ring's ownership mapping gives to this node
+function getOwnedVnodes(vnodeOwners) {
+  return Object.entries(vnodeOwners)
+    .filter(([_, instanceId]) => instanceId === config.nodeId)
+    .map(([vnodeId]) => parseInt(vnodeId, 10));
+}
+
+// Start or stop accepting users as vnodes are assigned to or taken from this node
+function handleOwnershipChange(change) {
+  observeRingEpoch(change.epoch);
+  
+  // Changes to the ring being resized to only decide what we own after cutover
+  const onNextRing = nextHash !== null && change.vnodeCount === nextHash.vnodeCount;
+  if (!onNextRing && change.vnodeCount !== consistentHash.vnodeCount) return;
+  const ring = onNextRing ? nextHash : consistentHash;
+  const ownedVnodes = onNextRing ? nextVnodes : assignedVnodes;
+  
+  const gained = [];
+  const lost = [];
+  
+  for (const [vnodeKey, instanceId] of Object.entries(change.assignments)) {
+    const vnodeId = parseInt(vnodeKey, 10);
+    const isOwned = ownedVnodes.includes(vnodeId);
     
-    await consumer.run({
-      eachMessage: async ({ topic, partition, message }) => {
-        try {
-          const payload = JSON.parse(message.value.toString());
-          const { userId, action, timestamp, nodeId } = payload;
-          
-          // Skip events from this node (we already processed them)
-          if (nodeId === config.nodeId) {
-            return;
-          }
-          
-          // Only process events for users belonging to this node
-          if (!isUserOwnedByThisNode(userId)) {
-            return;
-          }
-          
-          logger.debug(`Received ${action} event for user ${userId} from node ${nodeId}`);
-          
-          const vnodeId = consistentHash.getUserVnode(userId);
-          
-          // Update local state
-          if (action === 'online') {
-            onlineUsers[vnodeId].add(userId);
-          } else if (action === 'offline') {
-            onlineUsers[vnodeId].delete(userId);
-          }
-          
-          // Notify connected client if exists
-          const client = clients.get(userId);
-          if (client && client.readyState === WebSocket.OPEN) {
-            client.send(JSON.stringify({
-              type: 'status_update',
-              action,
-              timestamp,
-              sourceNodeId: nodeId
-            }));
-          }
-          
-        } catch (error) {
-          logger.error('Error processing Kafka message', { error: error.message });
-        }
+    if (instanceId === config.nodeId && !isOwned) {
+      gained.push(vnodeId);
+    } else if (instanceId !== config.nodeId && isOwned) {
+      lost.push(vnodeId);
+    }
+  }
+  
+  if (gained.length === 0 && lost.length === 0) return;
+  
+  const updatedVnodes = ownedVnodes.filter(vnodeId => !lost.includes(vnodeId)).concat(gained);
+  if (onNextRing) {
+    nextVnodes = updatedVnodes;
+  } else {
+    for (const vnodeId of gained) {
+      if (!onlineUsers[vnodeId]) {
+        onlineUsers[vnodeId] = new Set();
       }
-    });
-  } catch (error) {
-    logger.error('Error subscribing to Kafka', { error: error.message });
+    }
+    assignedVnodes = updatedVnodes;
+    schedulePartitionRefresh();
+  }
+  
+  logger.info('Vnode ownership changed', {
+    vnodeCount: ring.vnodeCount,
+    gained,
+    lost,
+    ownedVnodes: updatedVnodes.length
+  });
+  
+  if (lost.length > 0) {
+    const lostVnodes = new Set(lost);
+    const targets = new Map();
+    for (const userId of clients.keys()) {
+      const vnodeId = ring.getUserVnode(userId);
+      if (lostVnodes.has(vnodeId) && !isUserOwnedByThisNode(userId)) {
+        targets.set(userId, change.assignments[vnodeId] || null);
+      }
+    }
+    migrateUsers(targets, change.addresses, change.epoch);
   }
 }
 
-// Start the server
-async function start() {
+// Adopt the vnodes Redis gives this node and drop those it no longer does,
+// as if the coordinator had announced the difference
+function reconcileOwnership(vnodeCount, vnodeOwners) {
+  if (vnodeCount !== consistentHash.vnodeCount) return;
+  
+  const assignments = {};
+  for (const vnodeId of new Set([...assignedVnodes, ...getOwnedVnodes(vnodeOwners)])) {
+    assignments[vnodeId] = vnodeOwners[vnodeId] || null;
+  }
+  handleOwnershipChange({ vnodeCount, assignments, addresses: null, epoch: null });
+}
+
+// Follow a vnode count resize: adopt the next ring when it is prepared,
+// switch to it on cutover and drop it on abort, then hand over the users
+// that neither remaining ring gives to this node
+async function handleRingChange(change) {
   try {
-    // Log configuration
-    logger.info(`Starting WebSocket node ${config.nodeId}`, {
-      assignedVnodes: config.assignedVnodes,
-      wsPort: config.wsPort
-    });
+    observeRingEpoch(change.epoch);
+    const { vnodeCount, nextVnodeCount } = change;
     
-    // Connect to Kafka
-    await producer.connect();
-    await consumer.connect();
-    
-    logger.info('Connected to Kafka');
+    if (consistentHash.vnodeCount !== vnodeCount) {
+      if (nextHash && nextHash.vnodeCount === vnodeCount) {
+        consistentHash = nextHash;
+        assignedVnodes = nextVnodes;
+      } else {
+        consistentHash = new ConsistentHash(vnodeCount, hashStrategy);
+        assignedVnodes = getOwnedVnodes(await redisClient.getAllVnodeOwners(vnodeCount));
+      }
+      nextHash = null;
+      nextVnodes = [];
+      rebuildOnlineUsers();
+      schedulePartitionRefresh();
+    }
     
-    // Manually assign Kafka partitions based on assigned vnodes
-    // Assumes vnode IDs can be mapped to Kafka partitions
-    // This is a simplified approach - in production you might need more complex mapping
-    await subscribeToUserStatusEvents();
+    if (!nextVnodeCount) {
+      nextHash = null;
+      nextVnodes = [];
+    } else if (!nextHash || nextHash.vnodeCount !== nextVnodeCount) {
+      nextHash = new ConsistentHash(nextVnodeCount, hashStrategy);
+      nextVnodes = getOwnedVnodes(await redisClient.getAllVnodeOwners(nextVnodeCount));
+    }
     
-    // Start HTTP server
-    server.listen(config.wsPort, () => {
-      logger.info(`WebSocket server is listening on port ${config.wsPort}`);
+    logger.info(`Ring resize ${change.phase}`, {
+      vnodeCount,
+      nextVnodeCount,
+      assignedVnodes: assignedVnodes.length,
+      nextVnodes: nextVnodes.length
     });
     
-    // Start heartbeat interval
-    const heartbeatInterval = setInterval(updateHeartbeat, config.heartbeatInterval);
+    const strays = [...clients.keys()].filter(userId => !isUserOwnedByThisNode(userId));
+    if (strays.length === 0) return;
+    
+    const vnodeOwners = await redisClient.getAllVnodeOwners(consistentHash.vnodeCount);
+    const targets = new Map(strays.map(userId => [
+      userId,
+      vnodeOwners[consistentHash.getUserVnode(userId)] || null
+    ]));
+    migrateUsers(targets, change.addresses, change.epoch);
+  } catch (error) {
+    logger.error('Error handling ring change', { error: error.message });
+  }
+}
+
+// Hand users over to their new owners, spreading the reconnects over the
+// drain window so the new owners are not stampeded
+function migrateUsers(targets, addresses, epoch) {
+  if (targets.size === 0) return;
+  
+  logger.info(`Migrating ${targets.size} users to their new owners`, {
+    drainWindow: config.migrationDrainWindow
+  });
+  
+  for (const [userId, instanceId] of targets) {
+    const address = instanceId && addresses ? addresses[instanceId] || null : null;
+    const delay = Math.floor(Math.random() * config.migrationDrainWindow);
+    setTimeout(() => migrateUser(userId, instanceId, address, epoch), delay);
+  }
+}
+
+// Tell a user's sessions to reconnect elsewhere and close the ones that do not
+function migrateUser(userId, instanceId, address, epoch) {
+  const sessions = clients.get(userId);
+  
+  // The user may have left, or the vnode come back, while waiting
+  if (!sessions || isUserOwnedByThisNode(userId)) return;
+  
+  for (const session of sessions.values()) {
+    session.closeReason = 'migrate';
     
-    // Initial heartbeat
-    await updateHeartbeat();
+    if (session.ws.readyState !== WebSocket.OPEN) continue;
+    session.ws.send(JSON.stringify({
+      type: 'migrate',
+      instance: address,
+      instanceId,
+      epoch,
+      timestamp: Date.now()
+    }));
     
-    // Set up graceful shutdown
-    const shutdown = async () => {
-      logger.info('Shutting down WebSocket node...');
-      
-      // Clear intervals
-      clearInterval(heartbeatInterval);
-      
-      // Close all WebSocket connections
-      wss.clients.forEach(client => {
-        client.close(1001, 'Server shutting down');
+    setTimeout(() => {
+      if (session.ws.readyState === WebSocket.OPEN) {
+        session.ws.close(CloseCodes.MIGRATED, 'Migrated to another node');
+      }
+    }, config.migrationCloseTimeout);
+  }
+}
+
+// Give a migrated user time to reconnect to their new owner, which starts a
+// newer generation of their presence. Without it they would stay online to
+// watchers and in the state topic until the record expired.
+function expectMigratedUser(userId, presence) {
+  const timer = setTimeout(() => publishOfflineAfterMigration(userId), config.migrationReconnectTimeout);
+  migratedUsers.set(userId, { presence, timer });
+}
+
+// Stop waiting for a migrated user
+function forgetMigratedUser(userId) {
+  const migrated = migratedUsers.get(userId);
+  if (!migrated) return;
+  
+  clearTimeout(migrated.timer);
+  migratedUsers.delete(userId);
+}
+
+// Publish offline for a migrated user unless their new owner wrote a newer record
+async function publishOfflineAfterMigration(userId) {
+  const migrated = migratedUsers.get(userId);
+  if (!migrated) return;
+  migratedUsers.delete(userId);
+  
+  const { presence } = migrated;
+  const generation = presence.generation;
+  const sequence = presence.sequence + 1;
+  try {
+    const written = await redisClient.setUserPresence(userId, {
+      status: 'offline',
+      nodeId: config.nodeId,
+      lastSeen: presence.lastSeen,
+      generation,
+      sequence
+    }, config.presenceOfflineTtl);
+    if (!written) return;
+    
+    logger.info(`Migrated user ${userId} did not reconnect, publishing offline`);
+    await publishStatusEvent(userId, 'offline', {
+      devices: [],
+      reason: 'migrate',
+      generation,
+      sequence
+    });
+  } catch (error) {
+    logger.error(`Error publishing offline for migrated user ${userId}`, { error: error.message });
+  }
+}
+
+// Call a coordinator endpoint, retrying while the coordinator is unreachable
+async function callCoordinator(path, body) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const response = await fetch(`${config.coordinatorUrl}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
       });
       
-      // Close server
-      server.close();
+      const data = await response.json();
+      if (!response.ok) {
+        const error = new Error(`Coordinator returned ${response.status}: ${data.error}`);
+        error.status = response.status;
+        throw error;
+      }
       
-      // Disconnect from Kafka
-      await consumer.disconnect();
-      await producer.disconnect();
+      return data;
+    } catch (error) {
+      // Only network failures and server errors are worth retrying
+      if ((error.status && error.status < 500) || attempt >= config.coordinatorRetryAttempts) {
+        throw error;
+      }
       
-      // Close Redis
-      await redisClient.close();
+      logger.warn(`Coordinator request to ${path} failed, retrying`, { attempt, error: error.message });
+      await new Promise(resolve => setTimeout(resolve, config.coordinatorRetryDelay));
+    }
+  }
+}
+
+// Register this node with the coordinator and adopt the vnodes it assigns.
+// A node with fixed vnodes only gets those no other node holds.
+async function registerWithCoordinator(fixedVnodes) {
+  const { assignedVnodes: vnodes } = await callCoordinator('/nodes/register', {
+    instanceId: config.nodeId,
+    weight: config.nodeWeight,
+    address: config.advertisedAddress,
+    vnodes: fixedVnodes
+  });
+  
+  logger.info(`Registered with coordinator, assigned ${vnodes.length} vnodes`);
+  if (fixedVnodes && vnodes.length < fixedVnodes.length) {
+    logger.warn(`${fixedVnodes.length - vnodes.length} of the ASSIGNED_VNODES are owned by other nodes`);
+  }
+  return vnodes.map(Number);
+}
+
+// Release this node's vnodes so the coordinator stops routing users here
+async function unregisterFromCoordinator() {
+  try {
+    await callCoordinator('/nodes/unregister', { instanceId: config.nodeId });
+    logger.info('Unregistered from coordinator');
+  } catch (error) {
+    logger.error('Error unregistering from coordinator', { error: error.message });
+  }
+}
+
+// Get the status event partition of a user, by their vnode on the ring in use
+function getUserPartition(userId) {
+  return VnodePartitions.forVnode(consistentHash.getUserVnode(userId), consistentHash.vnodeCount, config.kafkaPartitions);
+}
+
+// Partitions carrying the events this node needs: those of its own vnodes,
+// of users it holds through the next ring during a resize, and of watched users
+function getWantedPartitions() {
+  const vnodes = new Set(assignedVnodes);
+  for (const userId of [...clients.keys(), ...watchers.keys()]) {
+    vnodes.add(consistentHash.getUserVnode(userId));
+  }
+  return VnodePartitions.forVnodes([...vnodes], consistentHash.vnodeCount, config.kafkaPartitions);
+}
+
+// Check whether the partitions this node needs differ from those it consumes
+function partitionsChanged() {
+  const wanted = getWantedPartitions();
+  return wanted.length !== consumer.partitions.length ||
+    wanted.some((partition, index) => partition !== consumer.partitions[index]);
+}
+
+// Re-join the consumer group if the partitions this node needs changed.
+// Calls within KAFKA_REASSIGN_DELAY, or made while a re-join is running,
+// are batched into one re-join.
+function schedulePartitionRefresh() {
+  if (partitionRefreshTimer) return;
+  
+  partitionRefreshTimer = setTimeout(async () => {
+    try {
+      if (!partitionsChanged()) return;
       
-      process.exit(0);
-    };
+      // Newly added partitions are read from their end
+      await consumer.refresh();
+      logger.info(`Now consuming ${consumer.partitions.length} status event partitions`);
+    } catch (error) {
+      logger.error('Error reassigning status event partitions', { error: error.message });
+    } finally {
+      partitionRefreshTimer = null;
+      if (partitionsChanged()) {
+        schedulePartitionRefresh();
+      }
+    }
+  }, config.kafkaReassignDelay);
+}
+
+// Make sure the partitions of the given users are consumed
+function consumePartitionsFor(userIds) {
+  const consumed = new Set(consumer.partitions);
+  if (userIds.some(userId => !consumed.has(getUserPartition(userId)))) {
+    schedulePartitionRefresh();
+  }
+}
+
+// Subscribe to the event bus for user status events
+async function subscribeToUserStatusEvents() {
+  try {
+    await consumer.run(handleStatusEvent);
+  } catch (error) {
+    logger.error('Error subscribing to status events', { error: error.message });
+  }
+}
+
+// Count a status event that could not be decoded or validated and park it
+// on the invalid events topic with the reason, so it can be inspected later.
+// Every node consuming the partition sees the event, but only the owner of
+// the vnode it is keyed to routes it, or of the partition's first vnode if
+// it has no key.
+function routeInvalidEvent(partition, message, error) {
+  const vnodeId = message.key
+    ? consistentHash.getUserVnode(message.key.toString())
+    : VnodePartitions.firstVnode(partition, consistentHash.vnodeCount, config.kafkaPartitions);
+  if (!assignedVnodes.includes(vnodeId)) return;
+  
+  invalidEventCount++;
+  logger.warn('Routing invalid status event aside', {
+    partition,
+    offset: message.offset,
+    error: error.message
+  });
+  
+  outbox.enqueue(config.kafkaInvalidEventsTopic, {
+    key: message.key,
+    value: message.value,
+    headers: {
+      ...message.headers,
+      'invalid-reason': error.message,
+      'source-topic': config.kafkaStatusTopic,
+      'source-partition': String(partition),
+      'source-offset': String(message.offset),
+      'source-node': config.nodeId
+    }
+  });
+}
+
+// Handle a user status event from the event bus
+async function handleStatusEvent({ partition, message }) {
+  let event;
+  try {
+    event = StatusEvent.decode(message.value, message.headers);
+  } catch (error) {
+    routeInvalidEvent(partition, message, error);
+    return;
+  }
+  
+  try {
+    const { userId, type, timestamp, nodeId } = event;
+    
+    // Skip events from this node, local watchers got them when they were published
+    if (nodeId === config.nodeId) {
+      return;
+    }
+    
+    // Drop events that arrive after a newer one, like an old node's offline
+    // reported after the user already reconnected elsewhere
+    if (!eventOrder.record(event)) {
+      staleEventCount++;
+      logger.debug(`Dropping stale ${type} event for user ${userId} from node ${nodeId}`, {
+        generation: event.generation,
+        sequence: event.sequence
+      });
+      return;
+    }
     
-    process.on('SIGINT', shutdown);
-    process.on('SIGTERM', shutdown);
+    // Push the change to local subscribers
+    notifyWatchers(event);
+    
+    // Only process events for users belonging to this node
+    if (!isUserOwnedByThisNode(userId)) {
+      return;
+    }
+    
+    logger.debug(`Received ${type} event for user ${userId} from node ${nodeId}`);
+    
+    // Update local state
+    trackOnlineUser(userId, Presence.isConnectedStatus(type));
+    
+    // Notify the user's connected sessions, if any
+    sendToUser(userId, {
+      type: 'status_update',
+      action: type,
+      devices: event.devices,
+      statusMessage: event.statusMessage,
+      statusExpiresAt: event.statusExpiresAt,
+      timestamp,
+      sourceNodeId: nodeId
+    });
     
   } catch (error) {
+    logger.error('Error processing status event', { error: error.message });
+  }
+}
+
+// Rebuild the state of our users from the presence state topic: who is
+// connected to another node, and the latest generation and sequence of each,
+// so late events from before the restart are still recognized as stale
+async function rebuildPresence() {
+  await presenceSnapshot.start();
+  await presenceSnapshot.whenReady();
+  
+  const strandedUserIds = new Set(await redisClient.getNodeUsers(config.nodeId));
+  for (const [userId, record] of presenceSnapshot.entries()) {
+    // Users who were connected here before the restart are gone
+    if (Presence.isConnectedStatus(record.status) && record.nodeId === config.nodeId) {
+      strandedUserIds.add(userId);
+    }
+    
+    if (!isUserOwnedByThisNode(userId)) continue;
+    
+    eventOrder.seed(userId, record);
+    
+    if (Presence.isConnectedStatus(record.status) && record.nodeId !== config.nodeId) {
+      trackOnlineUser(userId, true);
+    }
+  }
+  await publishOfflineForRestart([...strandedUserIds]);
+  
+  // Live changes arrive as status events, the snapshot is not needed any more
+  await presenceSnapshot.stop();
+}
+
+// Publish offline events for users who were connected here before a restart.
+// The coordinator only does this once our lease expires, which a quick
+// restart never lets happen, so their last state would say online for good.
+async function publishOfflineForRestart(userIds) {
+  const records = await redisClient.getUserPresences(userIds);
+  
+  let published = 0;
+  for (const userId of userIds) {
+    // Redis may have expired the record, the snapshot keeps the last one published
+    const snapshotRecord = presenceSnapshot.get(userId);
+    let record = records[userId];
+    if (!record || (snapshotRecord && StatusEvent.compare(snapshotRecord, record) > 0)) {
+      record = snapshotRecord;
+    }
+    
+    // Skip users who already reconnected somewhere else, or went offline
+    if (!record || record.nodeId !== config.nodeId || !Presence.isConnectedStatus(record.status)) continue;
+    
+    // The offline state ends our old generation of the user
+    const generation = record.generation;
+    const sequence = record.sequence + 1;
+    const written = await redisClient.setUserPresence(userId, {
+      status: 'offline',
+      nodeId: config.nodeId,
+      lastSeen: record.lastSeen,
+      generation,
+      sequence
+    }, config.presenceOfflineTtl);
+    if (!written) continue;
+    
+    await publishStatusEvent(userId, 'offline', {
+      devices: [],
+      reason: 'node_failure',
+      generation,
+      sequence
+    });
+    published++;
+  }
+  
+  await redisClient.clearNodeUsers(config.nodeId);
+  if (published > 0) {
+    logger.info(`Published offline events for ${published} users connected before the restart`);
+  }
+}
+
+// Start the node, resolving once it accepts users
+async function start() {
+  // The ring's vnode count lives in Redis, VNODE_COUNT only seeds a new cluster
+  const ring = await redisClient.getRing(config.vnodeCount, config.hashStrategy);
+  if (ring.hashStrategy !== config.hashStrategy) {
+    logger.warn(`Using the stored hash strategy ${ring.hashStrategy}, HASH_STRATEGY=${config.hashStrategy} only applies to a new cluster`);
+  }
+  hashStrategy = ring.hashStrategy;
+  consistentHash = new ConsistentHash(ring.vnodeCount, hashStrategy);
+  if (ring.nextVnodeCount) {
+    nextHash = new ConsistentHash(ring.nextVnodeCount, hashStrategy);
+    nextVnodes = getOwnedVnodes(await redisClient.getAllVnodeOwners(ring.nextVnodeCount));
+  }
+  
+  // Without ASSIGNED_VNODES, ask the coordinator for vnodes. With them,
+  // claim them through the coordinator so every service hears of it.
+  if (selfRegistered) {
+    assignedVnodes = await registerWithCoordinator();
+  } else {
+    if (ring.vnodeCount !== config.vnodeCount) {
+      logger.warn(`ASSIGNED_VNODES were chosen for VNODE_COUNT=${config.vnodeCount}, but the ring has ${ring.vnodeCount} vnodes`);
+    }
+    assignedVnodes = await registerWithCoordinator(
+      config.assignedVnodes.filter(vnodeId => vnodeId < ring.vnodeCount)
+    );
+  }
+  rebuildOnlineUsers();
+  
+  // Follow ownership changes and resizes made by the coordinator while running
+  await redisClient.subscribeOwnershipChanges(handleOwnershipChange);
+  await redisClient.subscribeRingChanges(handleRingChange);
+  observeRingEpoch(await redisClient.getRingEpoch());
+  
+  // Log configuration
+  logger.info(`Starting WebSocket node ${config.nodeId}`, {
+    assignedVnodes,
+    vnodeCount: consistentHash.vnodeCount,
+    nextVnodeCount: nextHash ? nextHash.vnodeCount : null,
+    ringEpoch,
+    advertisedAddress: config.advertisedAddress,
+    wsPort: config.wsPort
+  });
+  
+  if (config.presenceTtl * 1000 <= config.heartbeatInterval) {
+    logger.warn('PRESENCE_TTL is not longer than HEARTBEAT_INTERVAL, presence records will expire between heartbeats', {
+      presenceTtl: config.presenceTtl,
+      heartbeatInterval: config.heartbeatInterval
+    });
+  }
+  
+  if (config.nodeLeaseTtl * 1000 <= config.heartbeatInterval) {
+    logger.warn('NODE_LEASE_TTL is not longer than HEARTBEAT_INTERVAL, the coordinator will release our vnodes between heartbeats', {
+      nodeLeaseTtl: config.nodeLeaseTtl,
+      heartbeatInterval: config.heartbeatInterval
+    });
+  }
+  
+  // Connect to the event bus
+  await bus.ensureTopic(config.kafkaStatusTopic, { partitions: config.kafkaPartitions });
+  await PresenceSnapshot.ensureTopic(bus);
+  await bus.connect();
+  outbox.start();
+  
+  // Consume only the partitions of our vnodes, events are partitioned by vnode
+  await subscribeToUserStatusEvents();
+  
+  // Start HTTP server
+  await new Promise(resolve => server.listen(config.wsPort, resolve));
+  logger.info(`WebSocket server is listening on port ${config.wsPort}`);
+  
+  // Start heartbeat interval
+  heartbeatInterval = setInterval(updateHeartbeat, config.heartbeatInterval);
+  
+  // Start idle detection
+  idleCheckInterval = setInterval(checkIdleSessions, config.idleCheckInterval);
+  
+  // Initial heartbeat
+  await updateHeartbeat();
+  
+  // Only accept users once we know the state of the users we own. The
+  // heartbeat already runs, so the rebuild can take as long as it needs.
+  await rebuildPresence();
+  ready = true;
+  logger.info('WebSocket node is ready', presenceSnapshot.getProgress());
+}
+
+// Stop the node, handing over its users and flushing their offline events
+async function stop() {
+  logger.info('Shutting down WebSocket node...');
+  
+  // Clear intervals
+  clearInterval(heartbeatInterval);
+  clearInterval(idleCheckInterval);
+  clearTimeout(partitionRefreshTimer);
+  
+  // Hand our vnodes back before going away
+  if (selfRegistered) {
+    await unregisterFromCoordinator();
+  }
+  
+  // Close all WebSocket connections
+  for (const sessions of clients.values()) {
+    for (const session of sessions.values()) {
+      session.closeReason = 'shutdown';
+    }
+  }
+  wss.clients.forEach(client => {
+    client.close(1001, 'Server shutting down');
+  });
+  
+  // Close server
+  server.close();
+  
+  // Their offline records and events have to be written before Redis and the outbox close
+  await waitForSessionsClosed(config.shutdownCloseTimeout);
+  
+  // Nobody is left to see whether migrated users reconnected, so end their
+  // generation now, a newer one from their new owner still wins
+  await Promise.all([...migratedUsers.keys()].map(userId => {
+    clearTimeout(migratedUsers.get(userId).timer);
+    return publishOfflineAfterMigration(userId);
+  }));
+  
+  // Disconnect from the event bus, after sending the offline events of the closed sessions
+  await presenceSnapshot.stop();
+  await consumer.stop();
+  await outbox.close();
+  await bus.disconnect();
+  
+  // Close Redis
+  await redisClient.close();
+}
+
+// Start the node when run directly, tests start it themselves
+if (require.main === module) {
+  // Set up graceful shutdown
+  const shutdown = async () => {
+    await stop();
+    process.exit(0);
+  };
+  
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+  
+  start().catch((error) => {
     logger.error('Error starting WebSocket node', { error: error.message });
     process.exit(1);
-  }
+  });
 }
 
-// Start the node
-start(); 
\ No newline at end of file
+module.exports = { server, start, stop };
@@ -0,0 +1,12 @@
+const CloseCodes = require('../src/common/close-codes');
+const RegistrationCenterClient = require('../src/client/sdk');
+
+describe('CloseCodes', () => {
+  test('are the ones the SDK routes again on', () => {
+    expect(RegistrationCenterClient.REROUTE_CLOSE_CODES).toEqual([CloseCodes.STALE_EPOCH, CloseCodes.WRONG_NODE]);
+  });
+
+  test('leave the migration to the migrate message', () => {
+    expect(RegistrationCenterClient.REROUTE_CLOSE_CODES).not.toContain(CloseCodes.MIGRATED);
+  });
+});
@@ -0,0 +1,48 @@
+const ConsistentHash = require('../src/common/consistent-hash');
+
+const userIds = Array.from({ length: 20000 }, (_, i) => `user-${i}`);
+const vnodeCount = 256;
+const grownVnodeCount = 320;
+
+// Share of users that change vnode when the ring grows: the ideal is the
+// share of the new vnodes, 20% here, the mod strategies move almost everyone
+const MAX_MOVED = {
+  'md5-mod': 0.85,
+  'murmur-mod': 0.85,
+  jump: 0.22,
+  rendezvous: 0.22
+};
+
+describe.each(ConsistentHash.STRATEGIES)('%s strategy', (strategy) => {
+  const hash = new ConsistentHash(vnodeCount, strategy);
+  const before = userIds.map(userId => hash.getUserVnode(userId));
+
+  test('spreads users evenly over the vnodes', () => {
+    const counts = new Array(vnodeCount).fill(0);
+    for (const vnodeId of before) {
+      counts[vnodeId]++;
+    }
+
+    const mean = userIds.length / vnodeCount;
+    const stddev = Math.sqrt(counts.reduce((sum, n) => sum + (n - mean) ** 2, 0) / vnodeCount);
+    expect(Math.min(...counts)).toBeGreaterThan(0);
+    expect(Math.max(...counts) / mean).toBeLessThan(1.6);
+    expect(stddev / mean).toBeLessThan(0.15);
+  });
+
+  test('moves a bounded share of users when the ring grows', () => {
+    const ring = new ConsistentHash(grownVnodeCount, strategy);
+    const moved = userIds.filter((userId, i) => ring.getUserVnode(userId) !== before[i]);
+
+    expect(moved.length / userIds.length).toBeLessThanOrEqual(MAX_MOVED[strategy]);
+    if (MAX_MOVED[strategy] < 0.5) {
+      // Minimal movement only ever moves users onto the added vnodes
+      expect(moved.every(userId => ring.getUserVnode(userId) >= vnodeCount)).toBe(true);
+    }
+  });
+
+  test('is the same for every instance', () => {
+    const ring = new ConsistentHash(vnodeCount, strategy);
+    expect(userIds.slice(0, 1000).map(userId => ring.getUserVnode(userId))).toEqual(before.slice(0, 1000));
+  });
+});
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.EVENT_BUS = 'memory';
+process.env.NODE_ID = 'coordinator-drain';
+process.env.COORDINATOR_PORT = '39200';
+process.env.VNODE_COUNT = '64';
+process.env.KAFKA_PARTITIONS = '8';
+process.env.REBALANCE_MAX_MOVES = '64';
+process.env.LOG_LEVEL = 'error';
+process.env.OUTBOX_SPILL_DIR = path.join(os.tmpdir(), `status-outbox-drain-${process.pid}`);
+
+jest.mock('ioredis', () => require('ioredis-mock'));
+
+const Auth = require('../src/common/auth');
+const redisClient = require('../src/common/redis-client');
+const config = require('../src/common/config');
+const coordinator = require('../src/coordinator/server');
+
+const coordinatorUrl = `http://localhost:${config.coordinatorPort}`;
+const adminToken = Auth.generateToken('admin', { role: 'admin' });
+
+async function call(method, urlPath, body) {
+  const response = await fetch(`${coordinatorUrl}${urlPath}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${adminToken}` },
+    body: body && JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function vnodesOf(instanceId) {
+  const owners = await redisClient.getAllVnodeOwners(64);
+  return Object.values(owners).filter(owner => owner === instanceId).length;
+}
+
+describe('draining and removing a node', () => {
+  beforeAll(async () => {
+    await redisClient.client.flushall();
+    await coordinator.start();
+    await call('POST', '/nodes/register', { instanceId: 'node-a', weight: 50, address: 'node-a:8080' });
+    await call('POST', '/nodes/register', { instanceId: 'node-b', weight: 50, address: 'node-b:8080' });
+  });
+
+  afterAll(async () => {
+    await coordinator.stop();
+    fs.rmSync(process.env.OUTBOX_SPILL_DIR, { recursive: true, force: true });
+  });
+
+  test('can be ended so the node gets vnodes again', async () => {
+    expect((await call('POST', '/nodes/node-a/drain')).body).toMatchObject({ draining: true, remainingVnodes: 0 });
+    expect(await vnodesOf('node-b')).toBe(64);
+
+    // Registering again while draining gives nothing back
+    expect((await call('POST', '/nodes/register', { instanceId: 'node-a', weight: 50 })).body.assignedVnodes).toEqual([]);
+
+    expect(await call('DELETE', '/nodes/node-a/drain')).toMatchObject({ status: 200, body: { draining: false } });
+    expect(await call('DELETE', '/nodes/node-a/drain')).toMatchObject({ status: 404 });
+
+    const { body } = await call('POST', '/rebalance', { dryRun: false });
+    expect(body.applied).toBe(true);
+    // Within the rebalance tolerance of an even split
+    expect(await vnodesOf('node-a')).toBeGreaterThanOrEqual(29);
+  });
+
+  test('forgets the loads of a node that goes away', async () => {
+    const owners = await redisClient.getAllVnodeOwners(64);
+    await redisClient.updateVnodeLoads(64, Object.fromEntries(Object.keys(owners).map(vnodeId => [vnodeId, 5])));
+    const vnodesA = Object.keys(owners).filter(vnodeId => owners[vnodeId] === 'node-a');
+
+    const response = await fetch(`${coordinatorUrl}/nodes/unregister`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ instanceId: 'node-a' })
+    });
+    expect(response.status).toBe(200);
+
+    // node-b reports the loads of its new vnodes with its next heartbeat
+    const loads = await redisClient.getAllVnodeLoads(64);
+    expect(Object.keys(loads).sort()).toEqual(Object.keys(owners).filter(vnodeId => !vnodesA.includes(vnodeId)).sort());
+    expect(await vnodesOf('node-b')).toBe(64);
+  });
+});
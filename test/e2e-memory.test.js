@@ -0,0 +1,90 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A coordinator and a ws-node in this process, sharing the in-process event bus
+process.env.EVENT_BUS = 'memory';
+process.env.NODE_ID = 'node-e2e';
+process.env.COORDINATOR_PORT = '39180';
+process.env.COORDINATOR_URL = 'http://localhost:39180';
+process.env.WS_PORT = '39181';
+process.env.VNODE_COUNT = '64';
+process.env.NODE_WEIGHT = '100'; // Percent of the vnodes taken on registration
+process.env.KAFKA_PARTITIONS = '8';
+process.env.LOG_LEVEL = 'error';
+process.env.OUTBOX_SPILL_DIR = path.join(os.tmpdir(), `status-outbox-e2e-${process.pid}`);
+
+jest.mock('ioredis', () => require('ioredis-mock'));
+
+const WebSocket = require('ws');
+const Auth = require('../src/common/auth');
+const redisClient = require('../src/common/redis-client');
+const coordinator = require('../src/coordinator/server');
+const node = require('../src/node/server');
+const { eventually } = require('./helpers');
+
+const coordinatorUrl = process.env.COORDINATOR_URL;
+
+async function getPresence(userId) {
+  const response = await fetch(`${coordinatorUrl}/presence/${userId}`, {
+    headers: { Authorization: `Bearer ${Auth.generateToken('watcher')}` }
+  });
+  return response.json();
+}
+
+// Connects a user to the node the coordinator routes them to
+async function connect(userId) {
+  const route = await (await fetch(`${coordinatorUrl}/route?userId=${userId}`)).json();
+  const ws = new WebSocket(`ws://${route.instance}/?token=${Auth.generateToken(userId)}&epoch=${route.epoch}`);
+  const messages = [];
+  ws.on('message', data => messages.push(JSON.parse(data.toString())));
+  await new Promise((resolve, reject) => {
+    ws.once('open', resolve);
+    ws.once('error', reject);
+  });
+  return { ws, messages };
+}
+
+describe('coordinator and ws-node on the memory bus', () => {
+  beforeAll(async () => {
+    await redisClient.client.flushall();
+    await coordinator.start();
+    await node.start();
+  });
+
+  afterAll(async () => {
+    await node.stop();
+    await coordinator.stop();
+    fs.rmSync(process.env.OUTBOX_SPILL_DIR, { recursive: true, force: true });
+  });
+
+  test('the node registers and owns every vnode', async () => {
+    const response = await fetch(`${coordinatorUrl}/route?userId=alice`);
+    expect(response.status).toBe(200);
+    expect(await response.json()).toMatchObject({ instanceId: 'node-e2e', instance: 'localhost:39181' });
+  });
+
+  test('a connected user is online and offline once they leave', async () => {
+    const { ws, messages } = await connect('alice');
+
+    expect(await eventually(() => messages.find(message => message.type === 'status_update'))).toMatchObject({ action: 'online' });
+    expect(await eventually(async () => (await getPresence('alice')).status === 'online')).toBe(true);
+
+    ws.close();
+    expect(await eventually(async () => (await getPresence('alice')).status === 'offline')).toBe(true);
+  });
+
+  test('the coordinator follows the state topic through the bus', async () => {
+    const { ws } = await connect('bob');
+    ws.close();
+    expect(await eventually(async () => (await getPresence('bob')).status === 'offline')).toBe(true);
+
+    // Without a record in Redis the last seen time comes from the state topic
+    await redisClient.client.del(`${redisClient.PRESENCE_KEY_PREFIX}bob`);
+    const presence = await eventually(async () => {
+      const result = await getPresence('bob');
+      return result.lastSeen ? result : null;
+    });
+    expect(presence).toMatchObject({ status: 'offline' });
+  });
+});
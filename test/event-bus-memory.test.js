@@ -0,0 +1,57 @@
+process.env.EVENT_BUS_STREAM_MAXLEN = '5';
+process.env.LOG_LEVEL = 'error';
+
+const MemoryEventBus = require('../src/common/event-bus-memory');
+const EventOutbox = require('../src/common/event-outbox');
+
+const bus = new MemoryEventBus('test');
+
+function messages(count, partition = 0) {
+  return Array.from({ length: count }, (_, i) => ({ key: `user-${i}`, value: `value-${i}`, partition }));
+}
+
+describe('memory event bus', () => {
+  test('keeps the latest EVENT_BUS_STREAM_MAXLEN messages of a partition', async () => {
+    await bus.ensureTopic('capped', { partitions: 1 });
+    await bus.send([{ topic: 'capped', messages: messages(12) }]);
+
+    expect(await bus.fetchOffsets('capped')).toEqual([{ partition: 0, low: '7', high: '12' }]);
+  });
+
+  test('does not cap compacted topics', async () => {
+    await bus.ensureTopic('compacted', { partitions: 1, compacted: true });
+    await bus.send([{ topic: 'compacted', messages: messages(12) }]);
+
+    expect(await bus.fetchOffsets('compacted')).toEqual([{ partition: 0, low: '0', high: '12' }]);
+  });
+
+  test('rejects a message for a missing partition like a broker would', async () => {
+    await bus.ensureTopic('small', { partitions: 2 });
+    const error = await bus.send([{ topic: 'small', messages: messages(1, 5) }]).catch(e => e);
+
+    expect(error).toMatchObject({ type: 'INVALID_PARTITION', retriable: false });
+    expect(EventOutbox.isRejection(error)).toBe(true);
+  });
+
+  test('keeps the position of partitions still wanted after a refresh', async () => {
+    await bus.ensureTopic('refreshed', { partitions: 2 });
+    let wanted = [0];
+    const consumer = bus.consumer({ topic: 'refreshed', fromBeginning: true, partitions: () => wanted });
+    const received = [];
+    await consumer.run(async ({ partition, message }) => {
+      received.push(`${partition}:${message.value}`);
+    });
+
+    await bus.send([{ topic: 'refreshed', messages: [...messages(2, 0), ...messages(1, 1)] }]);
+    await new Promise(resolve => setImmediate(resolve));
+
+    // Partition 1 joins at its end, partition 0 goes on where it was
+    wanted = [0, 1];
+    await consumer.refresh();
+    await bus.send([{ topic: 'refreshed', messages: [...messages(1, 0), ...messages(1, 1)] }]);
+    await new Promise(resolve => setImmediate(resolve));
+    await consumer.stop();
+
+    expect(received).toEqual(['0:value-0', '0:value-1', '0:value-0', '1:value-0']);
+  });
+});
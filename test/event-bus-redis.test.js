@@ -0,0 +1,168 @@
+process.env.EVENT_BUS_STREAM_MAXLEN = '1000';
+process.env.LOG_LEVEL = 'error';
+
+// Writes and offsets run on ioredis-mock. Its XREAD cannot block and its Lua
+// has no XDEL, so consumers and compaction are only tested against a real
+// Redis at REDIS_URL
+if (!process.env.REDIS_URL) {
+  jest.mock('ioredis', () => require('ioredis-mock'));
+}
+
+const RedisStreamsEventBus = require('../src/common/event-bus-redis');
+const redisClient = require('../src/common/redis-client');
+const { eventually } = require('./helpers');
+
+const describeWithRedis = process.env.REDIS_URL ? describe : describe.skip;
+
+// Topics of this run, so a shared Redis keeps everything else
+const prefix = `test-${process.pid}-`;
+const bus = new RedisStreamsEventBus('test');
+
+// Reads a partition's stream as partition:key:value
+async function readStream(topic, partition) {
+  const entries = await redisClient.client.xrange(bus._streamKey(topic, partition), '-', '+');
+  return entries.map(([, fields]) => {
+    const entry = {};
+    for (let i = 0; i < fields.length; i += 2) {
+      entry[fields[i]] = fields[i + 1];
+    }
+    return `${partition}:${entry.key}:${entry.value}`;
+  });
+}
+
+afterAll(async () => {
+  const topics = Object.keys(await redisClient.client.hgetall(RedisStreamsEventBus.TOPICS_KEY)).filter(topic => topic.startsWith(prefix));
+  for (const topic of topics) {
+    const { partitions } = await bus._topic(topic);
+    const keys = Array.from({ length: partitions }, (_, partition) => [bus._streamKey(topic, partition), bus._latestKey(topic, partition)]);
+    await redisClient.client.del(...keys.flat());
+    await redisClient.client.hdel(RedisStreamsEventBus.TOPICS_KEY, topic);
+  }
+  await redisClient.close();
+});
+
+describe('Redis Streams event bus', () => {
+  test('appends messages to the stream of their partition', async () => {
+    const topic = `${prefix}events`;
+    await bus.ensureTopic(topic, { partitions: 2 });
+
+    await bus.send([{
+      topic,
+      messages: [
+        { key: 'alice', value: 'a1', partition: 0, headers: { 'event-codec': 'json' } },
+        { key: 'bob', value: 'b1', partition: 1 },
+        { key: 'alice', value: 'a2', partition: 0 }
+      ]
+    }]);
+
+    expect(await readStream(topic, 0)).toEqual(['0:alice:a1', '0:alice:a2']);
+    expect(await readStream(topic, 1)).toEqual(['1:bob:b1']);
+  });
+
+  test('reports the offsets of every partition', async () => {
+    const topic = `${prefix}counted`;
+    await bus.ensureTopic(topic, { partitions: 2 });
+    await bus.send([{ topic, messages: [{ key: 'a', value: '1', partition: 0 }, { key: 'b', value: '2', partition: 0 }] }]);
+
+    const ids = (await redisClient.client.xrange(bus._streamKey(topic, 0), '-', '+')).map(([id]) => id);
+    const [first, second] = ids.map(id => RedisStreamsEventBus.toOffset(id));
+    expect(BigInt(second)).toBeGreaterThan(BigInt(first));
+    expect(await bus.fetchOffsets(topic)).toEqual([
+      { partition: 0, low: first, high: String(BigInt(second) + 1n) },
+      { partition: 1, low: '0', high: '0' }
+    ]);
+  });
+
+  test('rejects a message for a missing partition', async () => {
+    const topic = `${prefix}small`;
+    await bus.ensureTopic(topic, { partitions: 2 });
+    const error = await bus.send([{ topic, messages: [{ key: 'a', value: '1', partition: 5 }] }]).catch(e => e);
+
+    expect(error).toMatchObject({ type: 'INVALID_PARTITION', retriable: false });
+  });
+});
+
+describeWithRedis('Redis Streams event bus on Redis', () => {
+  const consumers = [];
+
+  // Starts a consumer that collects what it reads
+  async function consume(options) {
+    const consumer = bus.consumer(options);
+    const received = [];
+    await consumer.run(async ({ partition, message }) => {
+      received.push({ partition, message, text: `${partition}:${message.key}:${message.value}` });
+    });
+    consumers.push(consumer);
+    return received;
+  }
+
+  afterEach(async () => {
+    await Promise.all(consumers.splice(0).map(consumer => consumer.stop()));
+  });
+
+  test('keeps only the latest message of each key of a compacted topic', async () => {
+    const topic = `${prefix}compacted`;
+    await bus.ensureTopic(topic, { partitions: 1, compacted: true });
+    await bus.send([{ topic, messages: [{ key: 'a', value: '1' }, { key: 'b', value: '1' }, { key: 'a', value: '2' }] }]);
+
+    expect(await readStream(topic, 0)).toEqual(['0:b:1', '0:a:2']);
+  });
+
+  test('delivers to consumers the messages of their partitions in order, with offsets and headers', async () => {
+    const topic = `${prefix}consumed`;
+    await bus.ensureTopic(topic, { partitions: 2 });
+    const received = await consume({ topic, fromBeginning: true });
+
+    await bus.send([{
+      topic,
+      messages: [
+        { key: 'alice', value: 'a1', partition: 0, headers: { 'event-codec': 'json' } },
+        { key: 'bob', value: 'b1', partition: 1 },
+        { key: 'alice', value: 'a2', partition: 0 }
+      ]
+    }]);
+
+    expect(await eventually(() => received.length === 3)).toBe(true);
+    const fromAlice = received.filter(r => r.partition === 0);
+    expect(fromAlice.map(r => r.text)).toEqual(['0:alice:a1', '0:alice:a2']);
+    expect(fromAlice[0].message.headers['event-codec'].toString()).toBe('json');
+
+    const [{ high }] = await bus.fetchOffsets(topic);
+    expect(String(BigInt(fromAlice[1].message.offset) + 1n)).toBe(high);
+  });
+
+  test('starts consumers at the end of their partitions unless reading from the beginning', async () => {
+    const topic = `${prefix}latest`;
+    await bus.ensureTopic(topic, { partitions: 1 });
+    await bus.send([{ topic, messages: [{ key: 'a', value: 'old' }] }]);
+
+    const received = await consume({ topic });
+    await bus.send([{ topic, messages: [{ key: 'a', value: 'new' }] }]);
+
+    expect(await eventually(() => received.length === 1)).toBe(true);
+    expect(received[0].text).toBe('0:a:new');
+  });
+
+  test('keeps the position of partitions still wanted after a refresh', async () => {
+    const topic = `${prefix}refreshed`;
+    await bus.ensureTopic(topic, { partitions: 2 });
+    let wanted = [0];
+    const consumer = bus.consumer({ topic, fromBeginning: true, partitions: () => wanted });
+    consumers.push(consumer);
+    const received = [];
+    await consumer.run(async ({ partition, message }) => {
+      received.push(`${partition}:${message.value}`);
+    });
+
+    await bus.send([{ topic, messages: [{ key: 'a', value: '1', partition: 0 }, { key: 'b', value: '1', partition: 1 }] }]);
+    expect(await eventually(() => received.length === 1)).toBe(true);
+
+    // Partition 1 joins at its end, partition 0 goes on where it was
+    wanted = [0, 1];
+    await consumer.refresh();
+    await bus.send([{ topic, messages: [{ key: 'a', value: '2', partition: 0 }, { key: 'b', value: '2', partition: 1 }] }]);
+
+    expect(await eventually(() => received.length === 3)).toBe(true);
+    expect(received.sort()).toEqual(['0:1', '0:2', '1:2']);
+  });
+});
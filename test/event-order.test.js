@@ -0,0 +1,79 @@
+const EventOrder = require('../src/common/event-order');
+const StatusEvent = require('../src/common/status-event');
+const { seededRandom, shuffle, userHistory } = require('./helpers');
+
+describe('EventOrder', () => {
+  test('drops stale and duplicate events', () => {
+    const order = new EventOrder(10);
+    const [first, second] = userHistory('user-1', 1, 1);
+
+    expect(order.record(second)).toBe(true);
+    expect(order.record(first)).toBe(false);
+    expect(order.record(second)).toBe(false);
+  });
+
+  test('accepts a new generation after a higher sequence of the old one', () => {
+    const order = new EventOrder(10);
+    const history = userHistory('user-1', 2, 5);
+    const lastOfFirst = history[5];
+    const firstOfSecond = history[6];
+
+    expect(order.record(lastOfFirst)).toBe(true);
+    expect(order.record(firstOfSecond)).toBe(true);
+    expect(order.record(lastOfFirst)).toBe(false);
+  });
+
+  test('always accepts events without ordering fields', () => {
+    const order = new EventOrder(10);
+    const legacy = { ...StatusEvent.create('online', 'user-1', 'node-1'), version: 1 };
+    expect(order.record(legacy)).toBe(true);
+    expect(order.record(legacy)).toBe(true);
+  });
+
+  test('forgets the least recently updated user when full', () => {
+    const order = new EventOrder(2);
+    const [a, b, c] = ['a', 'b', 'c'].map(userId => userHistory(userId, 1, 1)[1]);
+    order.record(a);
+    order.record(b);
+    order.record(c);
+
+    expect(order.record(a)).toBe(true);
+    expect(order.record(c)).toBe(false);
+  });
+
+  test('seeds only unknown users', () => {
+    const order = new EventOrder(10);
+    const [first, second] = userHistory('user-1', 1, 1);
+    order.record(second);
+    order.seed('user-1', { generation: 0, sequence: 0 });
+    order.seed('user-2', { generation: 3, sequence: 1 });
+
+    expect(order.record(first)).toBe(false);
+    expect(order.record(StatusEvent.create('online', 'user-2', 'n', { generation: 3, sequence: 1 }))).toBe(false);
+  });
+
+  test.each([1, 2, 3, 4, 5, 6, 7, 8])('ends on the newest state of a shuffled stream (seed %i)', (seed) => {
+    const random = seededRandom(seed);
+    const histories = ['alice', 'bob', 'carol'].map(userId => userHistory(userId, 4, 4));
+    // Every event is delivered twice, as redeliveries after a rebalance would
+    const stream = shuffle([...histories.flat(), ...histories.flat()], random);
+
+    const order = new EventOrder(100);
+    const applied = new Map();
+    for (const event of stream) {
+      if (!order.record(event)) continue;
+
+      // Nothing accepted is older than what was accepted before it
+      const previous = applied.get(event.userId);
+      if (previous) {
+        expect(StatusEvent.compare(event, previous)).toBeGreaterThan(0);
+      }
+      applied.set(event.userId, event);
+    }
+
+    for (const history of histories) {
+      const newest = history[history.length - 1];
+      expect(applied.get(newest.userId).eventId).toBe(newest.eventId);
+    }
+  });
+});
@@ -0,0 +1,175 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'error';
+
+const EventOutbox = require('../src/common/event-outbox');
+const { eventually } = require('./helpers');
+
+const spillDir = path.join(os.tmpdir(), `status-outbox-test-${process.pid}`);
+
+function outage() {
+  return Object.assign(new Error('Connection refused'), { retriable: true });
+}
+
+function rejection() {
+  return Object.assign(new Error('Message too large'), { type: 'MESSAGE_TOO_LARGE', retriable: false });
+}
+
+// A broker that records what it takes, and fails while fail() says so
+function broker(fail = () => null) {
+  const received = [];
+  const send = async (topicMessages) => {
+    const error = fail(topicMessages);
+    if (error) throw error;
+    for (const { topic, messages } of topicMessages) {
+      received.push(...messages.map(message => ({ topic, value: message.value.toString(), headers: message.headers })));
+    }
+  };
+  return { send, received, values: topic => received.filter(m => m.topic === topic).map(m => m.value) };
+}
+
+function createOutbox(send, options = {}) {
+  return new EventOutbox(send, {
+    deadLetterTopic: 'dlq',
+    retryDelay: 5,
+    maxRetryDelay: 40,
+    spillDir,
+    ...options
+  });
+}
+
+function enqueueAll(outbox, values) {
+  for (const value of values) {
+    outbox.enqueue('status', { key: value, value });
+  }
+}
+
+describe('EventOutbox', () => {
+  afterEach(() => {
+    fs.rmSync(spillDir, { recursive: true, force: true });
+  });
+
+  test('retries an outage with exponential backoff', async () => {
+    let attempts = 0;
+    const { send, values } = broker(() => (++attempts <= 5 ? outage() : null));
+    const outbox = createOutbox(send, { name: 'backoff' });
+    const schedule = jest.spyOn(outbox, '_schedule');
+    outbox.start();
+
+    enqueueAll(outbox, ['a']);
+    expect(await eventually(() => values('status').length === 1)).toBe(true);
+
+    const delays = schedule.mock.calls.map(([delay]) => delay).filter(delay => delay > 0);
+    expect(delays).toEqual([5, 10, 20, 40, 40]);
+    expect(outbox.getStats()).toMatchObject({ sent: 1, failedAttempts: 5, failures: 0 });
+    await outbox.close();
+  });
+
+  test('does not let a rejected message hold back the others', async () => {
+    const { send, values } = broker(topicMessages => (
+      topicMessages.some(({ topic, messages }) => topic === 'status' && messages.some(m => m.value === 'bad'))
+        ? rejection()
+        : null
+    ));
+    const outbox = createOutbox(send, { name: 'isolation', maxAttempts: 3 });
+    outbox.start();
+
+    enqueueAll(outbox, ['a', 'bad', 'c']);
+    expect(await eventually(() => values('dlq').length === 1)).toBe(true);
+
+    expect(values('status')).toEqual(['a', 'c']);
+    await outbox.close();
+  });
+
+  test('dead-letters a rejected message once its attempts run out', async () => {
+    let attempts = 0;
+    const { send, received } = broker(topicMessages => {
+      if (topicMessages[0].topic !== 'status') return null;
+      attempts++;
+      return rejection();
+    });
+    const outbox = createOutbox(send, { name: 'dead-letter', maxAttempts: 3 });
+    outbox.start();
+
+    enqueueAll(outbox, ['big']);
+    const deadLettered = await eventually(() => received.find(m => m.topic === 'dlq'));
+
+    expect(attempts).toBe(3);
+    expect(deadLettered).toMatchObject({
+      value: 'big',
+      headers: { 'dlq-reason': 'Message too large', 'dlq-attempts': '3', 'source-topic': 'status' }
+    });
+    expect(outbox.getStats()).toMatchObject({ deadLettered: 1, sent: 1 });
+    await outbox.close();
+  });
+
+  test('spills a full queue and sends it in order once the broker is back', async () => {
+    let down = true;
+    const { send, values } = broker(() => (down ? outage() : null));
+    const outbox = createOutbox(send, { name: 'spill', maxSize: 3 });
+    const unspill = jest.spyOn(outbox, '_unspill');
+    outbox.start();
+
+    const sent = Array.from({ length: 20 }, (_, i) => `m${i}`);
+    enqueueAll(outbox, sent);
+    expect(outbox.getStats()).toMatchObject({ queued: 3, spilled: 17 });
+
+    down = false;
+    expect(await eventually(() => values('status').length === 20)).toBe(true);
+
+    expect(values('status')).toEqual(sent);
+    expect(unspill).toHaveBeenCalledTimes(6);
+    expect(fs.existsSync(outbox.spillFile)).toBe(false);
+    await outbox.close();
+  });
+
+  test('spills what is still queued on close()', async () => {
+    const { send } = broker(() => outage());
+    const outbox = createOutbox(send, { name: 'close' });
+    outbox.start();
+
+    enqueueAll(outbox, ['a', 'b', 'c']);
+    expect(await outbox.close(50)).toBe(false);
+
+    const lines = fs.readFileSync(outbox.spillFile, 'utf8').split('\n').filter(Boolean);
+    expect(lines.map(line => Buffer.from(JSON.parse(line).value, 'base64').toString())).toEqual(['a', 'b', 'c']);
+    expect(outbox.getStats()).toMatchObject({ queued: 0, spilled: 3 });
+  });
+
+  test('keeps the order of spilled and queued messages across a restart', async () => {
+    const down = broker(() => outage());
+    const before = createOutbox(down.send, { name: 'restart', maxSize: 2 });
+    before.start();
+
+    // m0 and m1 stay queued, the rest spill behind them
+    const sent = Array.from({ length: 6 }, (_, i) => `m${i}`);
+    enqueueAll(before, sent);
+    await before.close(20);
+
+    const up = broker();
+    const after = createOutbox(up.send, { name: 'restart', maxSize: 2 });
+    after.start();
+    expect(after.getStats()).toMatchObject({ spilled: 6 });
+    enqueueAll(after, ['m6']);
+
+    expect(await eventually(() => up.values('status').length === 7)).toBe(true);
+    expect(up.values('status')).toEqual([...sent, 'm6']);
+    await after.close();
+  });
+
+  test('drops messages once the spill file is full', async () => {
+    const { send } = broker(() => outage());
+    const outbox = createOutbox(send, { name: 'full', maxSize: 1, maxSpillBytes: 400 });
+    outbox.start();
+
+    enqueueAll(outbox, Array.from({ length: 10 }, (_, i) => `m${i}`));
+
+    const { spilled, dropped } = outbox.getStats();
+    expect(spilled).toBeGreaterThan(0);
+    expect(dropped).toBe(9 - spilled);
+    expect(fs.statSync(outbox.spillFile).size).toBeLessThanOrEqual(400);
+    await outbox.close(0);
+  });
+});
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A coordinator and two ws-nodes in this process. node-a holds fixed vnodes
+// (ASSIGNED_VNODES), so stopping it hands nothing back: like a crashed node
+// it only loses them once its lease expires.
+process.env.EVENT_BUS = 'memory';
+process.env.NODE_ID = 'coordinator-failover';
+process.env.COORDINATOR_PORT = '39190';
+process.env.COORDINATOR_URL = 'http://localhost:39190';
+process.env.VNODE_COUNT = '64';
+process.env.KAFKA_PARTITIONS = '8';
+process.env.NODE_LEASE_TTL = '1';
+process.env.LEASE_SWEEP_INTERVAL = '200';
+process.env.HEARTBEAT_INTERVAL = '200';
+process.env.LOG_LEVEL = 'error';
+process.env.OUTBOX_SPILL_DIR = path.join(os.tmpdir(), `status-outbox-failover-${process.pid}`);
+
+jest.mock('ioredis', () => require('ioredis-mock'));
+
+const WebSocket = require('ws');
+const Auth = require('../src/common/auth');
+const MemoryEventBus = require('../src/common/event-bus-memory');
+const redisClient = require('../src/common/redis-client');
+const config = require('../src/common/config');
+const coordinator = require('../src/coordinator/server');
+const { eventually } = require('./helpers');
+
+const coordinatorUrl = process.env.COORDINATOR_URL;
+
+// Each node gets modules of its own, as in a process of its own, and shares
+// the in-process event bus with the others
+function loadNode(env) {
+  Object.assign(process.env, env);
+  let node;
+  jest.isolateModules(() => {
+    jest.doMock('../src/common/event-bus-memory', () => MemoryEventBus);
+    node = require('../src/node/server');
+  });
+  return node;
+}
+
+async function route(userId) {
+  return (await fetch(`${coordinatorUrl}/route?userId=${userId}`)).json();
+}
+
+// Connects a user to the node the coordinator routes them to
+async function connect(userId) {
+  const { instance, epoch } = await route(userId);
+  const ws = new WebSocket(`ws://${instance}/?token=${Auth.generateToken(userId)}&epoch=${epoch}`);
+  await new Promise((resolve, reject) => {
+    ws.once('open', resolve);
+    ws.once('error', reject);
+  });
+  return ws;
+}
+
+describe('failover of a node that went away', () => {
+  let nodeA;
+  let nodeB;
+
+  beforeAll(async () => {
+    await redisClient.client.flushall();
+    await coordinator.start();
+
+    nodeA = loadNode({
+      NODE_ID: 'node-a',
+      WS_PORT: '39191',
+      ADVERTISED_ADDRESS: 'localhost:39191',
+      ASSIGNED_VNODES: Array.from({ length: 32 }, (_, i) => i).join(',')
+    });
+    await nodeA.start();
+
+    nodeB = loadNode({
+      NODE_ID: 'node-b',
+      WS_PORT: '39192',
+      ADVERTISED_ADDRESS: 'localhost:39192',
+      ASSIGNED_VNODES: '',
+      NODE_WEIGHT: '50'
+    });
+    await nodeB.start();
+  });
+
+  afterAll(async () => {
+    await nodeB.stop();
+    await coordinator.stop();
+    fs.rmSync(process.env.OUTBOX_SPILL_DIR, { recursive: true, force: true });
+  });
+
+  test('moves its vnodes to the surviving node, where its users can connect again', async () => {
+    let userId = null;
+    for (let i = 0; !userId; i++) {
+      if ((await route(`user-${i}`)).instanceId === 'node-a') userId = `user-${i}`;
+    }
+
+    const ws = await connect(userId);
+    expect(await eventually(async () => (await redisClient.getUserPresence(userId))?.status === 'online')).toBe(true);
+    const { generation } = await redisClient.getUserPresence(userId);
+
+    const closed = new Promise(resolve => ws.once('close', resolve));
+    await nodeA.stop();
+    await closed;
+
+    // Only the lease sweep moves node-a's vnodes
+    const failedOver = await eventually(async () => {
+      const owners = await redisClient.getAllVnodeOwners(64);
+      return Object.keys(owners).length === 64 && Object.values(owners).every(owner => owner === 'node-b');
+    });
+    expect(failedOver).toBe(true);
+    expect(Object.keys(await redisClient.getAllNodeInfo())).toEqual(['node-b']);
+    expect(await route(userId)).toMatchObject({ instanceId: 'node-b', instance: 'localhost:39192' });
+
+    // node-b takes the user over in a newer generation
+    const reconnected = await connect(userId);
+    const presence = await eventually(async () => {
+      const record = await redisClient.getUserPresence(userId);
+      return record && record.status === 'online' && record.nodeId === 'node-b' ? record : null;
+    });
+    expect(presence.generation).toBeGreaterThan(generation);
+
+    const reclosed = new Promise(resolve => reconnected.once('close', resolve));
+    reconnected.close();
+    await reclosed;
+  });
+});
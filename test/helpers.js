@@ -0,0 +1,68 @@
+const StatusEvent = require('../src/common/status-event');
+
+/**
+ * Random numbers from a fixed seed, so a failing shuffle can be replayed
+ * @param {number} seed - The seed
+ * @return {Function} - Returns numbers in [0, 1)
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Shuffles a copy of an array
+ * @param {Array} items - The items
+ * @param {Function} random - Source of random numbers
+ * @return {Array} - The shuffled copy
+ */
+function shuffle(items, random) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * Builds the events of a user passed between nodes: every generation is a
+ * node taking the user over, followed by status changes on that node
+ * @param {string} userId - The user identifier
+ * @param {number} generations - Number of takeovers
+ * @param {number} changes - Status changes per generation
+ * @return {Array<Object>} - The events in the order they happened
+ */
+function userHistory(userId, generations, changes) {
+  const events = [];
+  for (let generation = 1; generation <= generations; generation++) {
+    for (let sequence = 0; sequence <= changes; sequence++) {
+      const type = sequence === changes ? 'offline' : ['online', 'away', 'busy'][sequence % 3];
+      events.push(StatusEvent.create(type, userId, `node-${generation}`, { generation, sequence }));
+    }
+  }
+  return events;
+}
+
+/**
+ * Waits until a check passes, for things that happen in the background
+ * @param {Function} check - async () => value, truthy once done
+ * @param {number} timeout - Maximum wait in ms
+ * @return {*} - The last value of the check
+ */
+async function eventually(check, timeout = 5000) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const result = await check();
+    if (result || Date.now() > deadline) return result;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+module.exports = { seededRandom, shuffle, userHistory, eventually };
@@ -0,0 +1,64 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A coordinator and a ws-node owning the vnodes of status partition 1 only
+process.env.EVENT_BUS = 'memory';
+process.env.NODE_ID = 'node-invalid';
+process.env.COORDINATOR_PORT = '39210';
+process.env.COORDINATOR_URL = 'http://localhost:39210';
+process.env.WS_PORT = '39211';
+process.env.VNODE_COUNT = '64';
+process.env.KAFKA_PARTITIONS = '8';
+process.env.ASSIGNED_VNODES = '8,9,10,11,12,13,14,15';
+process.env.LOG_LEVEL = 'error';
+process.env.OUTBOX_SPILL_DIR = path.join(os.tmpdir(), `status-outbox-invalid-${process.pid}`);
+
+jest.mock('ioredis', () => require('ioredis-mock'));
+
+const EventBus = require('../src/common/event-bus');
+const VnodePartitions = require('../src/common/vnode-partitions');
+const redisClient = require('../src/common/redis-client');
+const config = require('../src/common/config');
+const coordinator = require('../src/coordinator/server');
+const node = require('../src/node/server');
+const { eventually } = require('./helpers');
+
+describe('invalid status events', () => {
+  const bus = EventBus.create('invalid-events-test');
+  const routed = [];
+  let consumer;
+
+  beforeAll(async () => {
+    await redisClient.client.flushall();
+    await coordinator.start();
+    await node.start();
+
+    await bus.ensureTopic(config.kafkaInvalidEventsTopic, { partitions: 1 });
+    consumer = bus.consumer({ groupId: 'invalid-events-test', topic: config.kafkaInvalidEventsTopic, fromBeginning: true });
+    await consumer.run(async ({ message }) => {
+      routed.push(message);
+    });
+  });
+
+  afterAll(async () => {
+    await consumer.stop();
+    await node.stop();
+    await coordinator.stop();
+    fs.rmSync(process.env.OUTBOX_SPILL_DIR, { recursive: true, force: true });
+  });
+
+  test('are routed by the owner of the first vnode of their partition when they have no key', async () => {
+    // Partition 1 starts at vnode 8, vnode 1 belongs to nobody here
+    expect(VnodePartitions.firstVnode(1, 64, 8)).toBe(8);
+
+    await bus.send([{
+      topic: config.kafkaStatusTopic,
+      messages: [{ key: null, value: 'not an event', partition: 1 }]
+    }]);
+
+    const message = await eventually(() => routed.find(m => m.value.toString() === 'not an event'));
+    expect(message.headers['source-partition'].toString()).toBe('1');
+    expect(message.headers['source-node'].toString()).toBe('node-invalid');
+  });
+});
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A coordinator and a ws-node in this process, with a second node that only exists in the ring
+process.env.EVENT_BUS = 'memory';
+process.env.NODE_ID = 'node-migrating';
+process.env.COORDINATOR_PORT = '39220';
+process.env.COORDINATOR_URL = 'http://localhost:39220';
+process.env.WS_PORT = '39221';
+process.env.VNODE_COUNT = '64';
+process.env.NODE_WEIGHT = '100';
+process.env.KAFKA_PARTITIONS = '8';
+process.env.MIGRATION_DRAIN_WINDOW = '1';
+process.env.MIGRATION_CLOSE_TIMEOUT = '100';
+process.env.MIGRATION_RECONNECT_TIMEOUT = '300';
+process.env.LOG_LEVEL = 'error';
+process.env.OUTBOX_SPILL_DIR = path.join(os.tmpdir(), `status-outbox-migration-${process.pid}`);
+
+jest.mock('ioredis', () => require('ioredis-mock'));
+
+const WebSocket = require('ws');
+const Auth = require('../src/common/auth');
+const EventBus = require('../src/common/event-bus');
+const StatusEvent = require('../src/common/status-event');
+const CloseCodes = require('../src/common/close-codes');
+const redisClient = require('../src/common/redis-client');
+const config = require('../src/common/config');
+const coordinator = require('../src/coordinator/server');
+const node = require('../src/node/server');
+const { eventually } = require('./helpers');
+
+const coordinatorUrl = process.env.COORDINATOR_URL;
+const adminToken = Auth.generateToken('admin', { role: 'admin' });
+
+describe('a migrated user who never reconnects', () => {
+  const statusEvents = [];
+  let consumer;
+
+  beforeAll(async () => {
+    await redisClient.client.flushall();
+    await coordinator.start();
+    await node.start();
+
+    const bus = EventBus.create('migration-test');
+    consumer = bus.consumer({ groupId: 'migration-test', topic: config.kafkaStatusTopic, fromBeginning: true });
+    await consumer.run(async ({ message }) => {
+      statusEvents.push(StatusEvent.decode(message.value, message.headers));
+    });
+  });
+
+  afterAll(async () => {
+    await consumer.stop();
+    await node.stop();
+    await coordinator.stop();
+    fs.rmSync(process.env.OUTBOX_SPILL_DIR, { recursive: true, force: true });
+  });
+
+  test('is published offline once the reconnect timeout passes', async () => {
+    const ws = new WebSocket(`ws://${config.advertisedAddress}/?token=${Auth.generateToken('carol')}`);
+    const messages = [];
+    ws.on('message', data => messages.push(JSON.parse(data.toString())));
+    const closed = new Promise(resolve => ws.once('close', resolve));
+    await new Promise((resolve, reject) => {
+      ws.once('open', resolve);
+      ws.once('error', reject);
+    });
+    await eventually(() => statusEvents.find(event => event.userId === 'carol' && event.type === 'online'));
+
+    // Another node takes every vnode over, carol is told to move there but never does
+    await fetch(`${coordinatorUrl}/nodes/register`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ instanceId: 'node-other', weight: 100, address: 'node-other:8080' })
+    });
+    const drained = await fetch(`${coordinatorUrl}/nodes/${config.nodeId}/drain`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${adminToken}` }
+    });
+    expect(drained.status).toBe(200);
+
+    expect(await eventually(() => messages.find(message => message.type === 'migrate'))).toMatchObject({ instanceId: 'node-other' });
+    expect(await closed).toBe(CloseCodes.MIGRATED);
+
+    const offline = await eventually(() => statusEvents.find(event => event.userId === 'carol' && event.type === 'offline'));
+    expect(offline).toMatchObject({ reason: 'migrate', nodeId: config.nodeId });
+    expect(await redisClient.getUserPresence('carol')).toMatchObject({ status: 'offline', sequence: offline.sequence });
+  });
+});
@@ -0,0 +1,95 @@
+jest.mock('ioredis', () => require('ioredis-mock'));
+
+const redisClient = require('../src/common/redis-client');
+const { seededRandom, shuffle, userHistory } = require('./helpers');
+
+// The presence record a node writes for an event
+function recordOf(event) {
+  return {
+    status: event.type,
+    nodeId: event.nodeId,
+    lastSeen: event.timestamp,
+    generation: event.generation,
+    sequence: event.sequence
+  };
+}
+
+describe('conditional presence writes', () => {
+  beforeEach(async () => {
+    await redisClient.client.flushall();
+  });
+
+  afterAll(async () => {
+    await redisClient.close();
+  });
+
+  test('keep a newer record', async () => {
+    const [, online, offline] = userHistory('user-1', 1, 2);
+
+    expect(await redisClient.setUserPresence('user-1', recordOf(offline), 60)).toBe(true);
+    expect(await redisClient.setUserPresence('user-1', recordOf(online), 60)).toBe(false);
+
+    const stored = await redisClient.getUserPresence('user-1');
+    expect(stored).toMatchObject({ status: 'offline', generation: 1, sequence: 2 });
+  });
+
+  test('ignore a duplicate of the stored event', async () => {
+    const [, online] = userHistory('user-1', 1, 2);
+    expect(await redisClient.setUserPresence('user-1', recordOf(online), 60)).toBe(true);
+    await redisClient.client.expire('presence:user-1', 30);
+
+    const redelivered = { ...recordOf(online), lastSeen: online.timestamp + 5000 };
+    expect(await redisClient.setUserPresence('user-1', redelivered, 60)).toBe(false);
+
+    expect(await redisClient.getUserPresence('user-1')).toMatchObject({ lastSeen: online.timestamp });
+    expect(await redisClient.client.ttl('presence:user-1')).toBeLessThanOrEqual(30);
+  });
+
+  test('still refresh the record of the same event', async () => {
+    const [, online] = userHistory('user-1', 1, 2);
+    await redisClient.setUserPresence('user-1', recordOf(online), 60);
+
+    await redisClient.updateUserPresences({ 'user-1': { ...recordOf(online), lastSeen: online.timestamp + 5000 } }, 60);
+    expect(await redisClient.getUserPresence('user-1')).toMatchObject({ lastSeen: online.timestamp + 5000 });
+  });
+
+  test('let a new generation replace a higher sequence', async () => {
+    const history = userHistory('user-1', 2, 5);
+    await redisClient.setUserPresence('user-1', recordOf(history[5]), 60);
+
+    expect(await redisClient.setUserPresence('user-1', recordOf(history[6]), 60)).toBe(true);
+    expect(await redisClient.getUserPresence('user-1')).toMatchObject({ generation: 2, sequence: 0 });
+  });
+
+  test('treat records written before ordering as the oldest', async () => {
+    await redisClient.client.hset('presence:user-1', 'status', 'online', 'nodeId', 'old');
+    const [first] = userHistory('user-1', 1, 0);
+
+    expect(await redisClient.setUserPresence('user-1', recordOf(first), 60)).toBe(true);
+  });
+
+  test('skip users with a newer record when refreshing', async () => {
+    const history = userHistory('user-1', 2, 1);
+    await redisClient.setUserPresence('user-1', recordOf(history[2]), 60);
+
+    await redisClient.updateUserPresences({ 'user-1': recordOf(history[1]) }, 60);
+    expect(await redisClient.getUserPresence('user-1')).toMatchObject({ generation: 2, sequence: 0 });
+  });
+
+  test.each([11, 12, 13, 14])('end on the newest record of a shuffled stream (seed %i)', async (seed) => {
+    const random = seededRandom(seed);
+    const history = userHistory('user-1', 3, 3);
+
+    for (const event of shuffle(history, random)) {
+      await redisClient.setUserPresence('user-1', recordOf(event), 60);
+    }
+
+    const newest = history[history.length - 1];
+    expect(await redisClient.getUserPresence('user-1')).toMatchObject({
+      status: newest.type,
+      nodeId: newest.nodeId,
+      generation: newest.generation,
+      sequence: newest.sequence
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const PresenceSnapshot = require('../src/common/presence-snapshot');
+const StatusEvent = require('../src/common/status-event');
+
+/**
+ * A one-partition bus that compacts like Kafka: removed records leave a gap
+ * in the offsets, and the consumer only sees the records that are left
+ */
+function compactingBus() {
+  const log = [];
+  let nextOffset = 0;
+  let deliver = null;
+
+  return {
+    log,
+    async send([{ messages }]) {
+      for (const message of messages) {
+        const stored = { key: Buffer.from(message.key), value: message.value, headers: message.headers || {}, offset: String(nextOffset++) };
+        log.push(stored);
+        if (deliver) deliver(stored);
+      }
+    },
+    async fetchOffsets() {
+      return [{ partition: 0, low: log.length > 0 ? log[0].offset : String(nextOffset), high: String(nextOffset) }];
+    },
+    compact(offset) {
+      log.splice(log.findIndex(message => message.offset === offset), 1);
+    },
+    consumer() {
+      return {
+        async run(handler) {
+          deliver = message => handler({ partition: 0, message });
+          for (const message of [...log]) {
+            await handler({ partition: 0, message });
+          }
+        },
+        async stop() {
+          deliver = null;
+        }
+      };
+    }
+  };
+}
+
+function stateMessage(type, userId, generation, sequence) {
+  const { value, headers } = StatusEvent.encode(StatusEvent.create(type, userId, 'node-1', { generation, sequence }));
+  return { key: userId, value, headers };
+}
+
+describe('presence snapshot', () => {
+  test('becomes ready when compaction removed the last records of a partition', async () => {
+    const bus = compactingBus();
+    await bus.send([{ messages: [stateMessage('online', 'user-1', 1, 1), { key: 'user-2', value: null }] }]);
+    bus.compact('1');
+
+    const snapshot = new PresenceSnapshot(bus, 'test');
+    await snapshot.start();
+    await snapshot.whenReady();
+
+    expect(snapshot.isReady()).toBe(true);
+    expect(snapshot.get('user-1')).toMatchObject({ status: 'online', generation: 1, sequence: 1 });
+    await snapshot.stop();
+  });
+
+  test('keeps the newest record of each user', async () => {
+    const bus = compactingBus();
+    await bus.send([{ messages: [stateMessage('offline', 'user-1', 2, 1), stateMessage('online', 'user-1', 1, 3)] }]);
+
+    const snapshot = new PresenceSnapshot(bus, 'test');
+    await snapshot.start();
+    await snapshot.whenReady();
+
+    expect(snapshot.get('user-1')).toMatchObject({ status: 'offline', generation: 2, sequence: 1 });
+    expect(snapshot.get(`${PresenceSnapshot.MARKER_KEY_PREFIX}test`)).toBeNull();
+    await snapshot.stop();
+  });
+});
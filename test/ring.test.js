@@ -0,0 +1,40 @@
+jest.mock('ioredis', () => require('ioredis-mock'));
+
+const redisClient = require('../src/common/redis-client');
+
+describe('stored ring', () => {
+  beforeEach(async () => {
+    await redisClient.client.flushall();
+  });
+
+  afterAll(async () => {
+    await redisClient.close();
+  });
+
+  test('keeps the vnode count and hash strategy of the first service', async () => {
+    expect(await redisClient.getRing(1024, 'jump')).toEqual({ vnodeCount: 1024, nextVnodeCount: null, hashStrategy: 'jump' });
+    expect(await redisClient.getRing(64, 'md5-mod')).toEqual({ vnodeCount: 1024, nextVnodeCount: null, hashStrategy: 'jump' });
+  });
+
+  test('records the hash strategy of a ring stored without one', async () => {
+    await redisClient.client.hset(redisClient.VNODE_RING_KEY, 'vnodeCount', 512);
+    expect(await redisClient.getRing(1024, 'rendezvous')).toMatchObject({ vnodeCount: 512, hashStrategy: 'rendezvous' });
+  });
+
+  test('copies the ownership of a cluster upgraded from before resizing', async () => {
+    await redisClient.client.hset(redisClient.LEGACY_VNODE_OWNERS_KEY, { 0: 'node-a', 1: 'node-b' });
+    await redisClient.client.hset(redisClient.LEGACY_VNODE_LOAD_KEY, { 0: '3' });
+
+    await redisClient.getRing(2, 'md5-mod');
+    expect(await redisClient.getAllVnodeOwners(2)).toEqual({ 0: 'node-a', 1: 'node-b' });
+    expect(await redisClient.getAllVnodeLoads(2)).toEqual({ 0: 3 });
+  });
+
+  test('does not copy the legacy ownership over the current one', async () => {
+    await redisClient.client.hset(redisClient.LEGACY_VNODE_OWNERS_KEY, { 0: 'node-a', 1: 'node-a' });
+    await redisClient.client.hset(`${redisClient.VNODE_OWNERS_KEY_PREFIX}2`, { 0: 'node-b' });
+
+    await redisClient.getRing(2, 'md5-mod');
+    expect(await redisClient.getAllVnodeOwners(2)).toEqual({ 0: 'node-b' });
+  });
+});
@@ -0,0 +1,130 @@
+const StatusEvent = require('../src/common/status-event');
+const codecs = require('../src/common/event-codecs');
+
+describe('StatusEvent.compare', () => {
+  const at = (generation, sequence) => ({ generation, sequence });
+
+  test('orders by sequence within a generation', () => {
+    expect(StatusEvent.compare(at(1, 1), at(1, 2))).toBeLessThan(0);
+    expect(StatusEvent.compare(at(1, 2), at(1, 1))).toBeGreaterThan(0);
+    expect(StatusEvent.compare(at(1, 2), at(1, 2))).toBe(0);
+  });
+
+  test('puts a newer generation first whatever its sequence', () => {
+    expect(StatusEvent.compare(at(2, 0), at(1, 50))).toBeGreaterThan(0);
+    expect(StatusEvent.compare(at(1, 50), at(2, 0))).toBeLessThan(0);
+  });
+
+  test('sorts a shuffled history back into order', () => {
+    const history = [at(1, 0), at(1, 1), at(2, 0), at(2, 1), at(2, 2), at(3, 0)];
+    const sorted = [...history].reverse().sort(StatusEvent.compare);
+    expect(sorted).toEqual(history);
+  });
+});
+
+describe('StatusEvent ordering fields', () => {
+  test('survive encoding with every codec', () => {
+    const event = StatusEvent.create('busy', 'user-1', 'node-1', { generation: 4, sequence: 7 });
+    for (const codec of Object.keys(StatusEvent.CODECS)) {
+      const { value, headers } = StatusEvent.encode(event, codec);
+      const decoded = StatusEvent.decode(value, headers);
+      expect(StatusEvent.isOrdered(decoded)).toBe(true);
+      expect(StatusEvent.compare(decoded, event)).toBe(0);
+    }
+  });
+
+  test('are absent from version 1 events', () => {
+    const event = { ...StatusEvent.create('online', 'user-1', 'node-1'), version: 1 };
+    delete event.generation;
+    delete event.sequence;
+    const { value, headers } = StatusEvent.encode(event, 'json');
+    expect(StatusEvent.isOrdered(StatusEvent.decode(value, headers))).toBe(false);
+  });
+
+  test('are null in version 1 events with every codec', () => {
+    const event = { ...StatusEvent.create('online', 'user-1', 'node-1', { devices: ['web'] }), version: 1 };
+    for (const codec of Object.keys(StatusEvent.CODECS)) {
+      const { value, headers } = StatusEvent.encode(event, codec);
+      expect(StatusEvent.decode(value, headers)).toMatchObject({ version: 1, devices: ['web'], generation: null, sequence: null });
+    }
+  });
+});
+
+describe('Avro schema', () => {
+  // Reads a record the way any Avro library would, from the published schema alone
+  function readWithSchema(buffer, schema) {
+    const cursor = { offset: 0 };
+    const readLong = () => {
+      let zigzag = 0;
+      let scale = 1;
+      for (;;) {
+        if (cursor.offset >= buffer.length) throw new Error('Read past the end of the record');
+        const byte = buffer[cursor.offset++];
+        zigzag += (byte & 0x7f) * scale;
+        if (byte < 0x80) break;
+        scale *= 0x80;
+      }
+      return zigzag % 2 === 0 ? zigzag / 2 : -(zigzag + 1) / 2;
+    };
+    const readString = () => {
+      const length = readLong();
+      cursor.offset += length;
+      return buffer.toString('utf8', cursor.offset - length, cursor.offset);
+    };
+    const read = (type) => {
+      if (Array.isArray(type)) return read(type[readLong()]);
+      if (type === 'null') return null;
+      if (type === 'string') return readString();
+      if (type === 'int' || type === 'long') return readLong();
+      const items = [];
+      for (let count = readLong(); count !== 0; count = readLong()) {
+        for (let i = 0; i < count; i++) items.push(read(type.items));
+      }
+      return items;
+    };
+
+    const record = {};
+    for (const field of schema.fields) {
+      record[field.name] = read(field.type);
+    }
+    expect(cursor.offset).toBe(buffer.length);
+    return record;
+  }
+
+  test('declares fields added in later versions as nullable with a default', () => {
+    const fields = Object.fromEntries(codecs.avro.schema.fields.map(field => [field.name, field]));
+    expect(fields.generation).toEqual({ name: 'generation', type: ['null', 'long'], default: null });
+    expect(fields.sequence).toEqual({ name: 'sequence', type: ['null', 'long'], default: null });
+  });
+
+  test('describes events of every version', () => {
+    const current = StatusEvent.create('busy', 'user-1', 'node-1', { generation: 3, sequence: 9, statusMessage: 'Lunch' });
+    expect(readWithSchema(codecs.avro.encode(current), codecs.avro.schema)).toEqual(current);
+
+    const v1 = { ...current, version: 1 };
+    expect(readWithSchema(codecs.avro.encode(v1), codecs.avro.schema)).toEqual({ ...v1, generation: null, sequence: null });
+  });
+
+  test('still decodes version 1 records written without the later fields', () => {
+    const v1 = { ...StatusEvent.create('online', 'user-1', 'node-1'), version: 1 };
+    const written = codecs.avro.encode(v1);
+    // Each null union branch is a single zero byte
+    const legacy = written.subarray(0, written.length - 2);
+
+    expect(StatusEvent.decode(legacy, { [StatusEvent.CODEC_HEADER]: 'avro' })).toMatchObject({ version: 1, generation: null, sequence: null });
+  });
+});
+
+describe('StatusEvent version 0', () => {
+  const legacy = { userId: 'user-1', action: 'offline', timestamp: 1700000000000, nodeId: 'node-old' };
+
+  test('is decoded from the unversioned format without a codec header', () => {
+    const event = StatusEvent.decode(Buffer.from(JSON.stringify(legacy)));
+    expect(event).toMatchObject({ version: 1, type: 'offline', userId: 'user-1', nodeId: 'node-old', timestamp: legacy.timestamp });
+    expect(StatusEvent.isOrdered(event)).toBe(false);
+  });
+
+  test('is still rejected without a valid action', () => {
+    expect(() => StatusEvent.decode(Buffer.from(JSON.stringify({ ...legacy, action: 'gone' })))).toThrow('unknown type gone');
+  });
+});
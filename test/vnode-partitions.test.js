@@ -0,0 +1,37 @@
+const VnodePartitions = require('../src/common/vnode-partitions');
+
+describe('VnodePartitions', () => {
+  test('gives every partition a contiguous range of as many vnodes', () => {
+    const partitions = Array.from({ length: 1024 }, (_, vnodeId) => VnodePartitions.forVnode(vnodeId, 1024, 64));
+
+    for (let partition = 0; partition < 64; partition++) {
+      const vnodes = partitions.flatMap((p, vnodeId) => (p === partition ? [vnodeId] : []));
+      expect(vnodes).toHaveLength(16);
+      expect(vnodes[15] - vnodes[0]).toBe(15);
+    }
+  });
+
+  test('finds the first vnode of every partition', () => {
+    for (const [vnodeCount, partitionCount] of [[1024, 64], [64, 8], [100, 7], [64, 64]]) {
+      for (let partition = 0; partition < partitionCount; partition++) {
+        const first = VnodePartitions.firstVnode(partition, vnodeCount, partitionCount);
+        expect(VnodePartitions.forVnode(first, vnodeCount, partitionCount)).toBe(partition);
+        if (first > 0) expect(VnodePartitions.forVnode(first - 1, vnodeCount, partitionCount)).toBe(partition - 1);
+      }
+    }
+  });
+
+  test('has no first vnode for a partition without vnodes', () => {
+    // 4 vnodes over 8 partitions leave every other partition empty
+    expect([0, 1, 2, 3, 7].map(partition => VnodePartitions.firstVnode(partition, 4, 8))).toEqual([0, null, 1, null, null]);
+  });
+
+  test('lets a node with contiguous vnodes read few partitions', () => {
+    const vnodes = Array.from({ length: 40 }, (_, i) => 100 + i);
+    expect(VnodePartitions.forVnodes(vnodes, 1024, 64)).toEqual([6, 7, 8]);
+  });
+
+  test('maps each vnode to its own partition when there are as many', () => {
+    expect(VnodePartitions.forVnodes([0, 5, 63], 64, 64)).toEqual([0, 5, 63]);
+  });
+});